@@ -0,0 +1,84 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import Stripe from 'stripe';
+import { PLANS, PAID_TIERS } from '../src/config/plans.js';
+
+/**
+ * שליחת Stripe event מ-fixtures/stripe ל-webhook, חתום ב-STRIPE_WEBHOOK_SECRET
+ * (בדיקה לוקלית של /api/billing/webhook בלי Stripe CLI)
+ *
+ * npm run stripe:fixture -- <event type> --org <organization id> [--tier pro] [--url ...]
+ *
+ * ב-fixture מוחלפים __ORGANIZATION_ID__, __TIER__ ו-__PRICE_ID__ (STRIPE_PRICE_ID_* של ה-tier).
+ * כל שליחה מקבלת id ו-created חדשים, כך שה-event לא נחשב ישן (subscription_updated_at).
+ */
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/stripe');
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`;
+
+function usage(message) {
+  const fixtures = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+
+  if (message) {
+    console.error(`❌ ${message}\n`);
+  }
+  console.error('Usage: npm run stripe:fixture -- <event type> --org <organization id> [--tier pro] [--url url]');
+  console.error(`Events: ${fixtures.join(', ')}`);
+  process.exit(1);
+}
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    org: { type: 'string' },
+    tier: { type: 'string', default: 'pro' },
+    url: { type: 'string', default: DEFAULT_URL }
+  }
+});
+
+const [eventType] = positionals;
+const fixturePath = path.join(FIXTURES_DIR, `${eventType}.json`);
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+if (!eventType || !fs.existsSync(fixturePath)) {
+  usage(eventType ? `No fixture for ${eventType}` : 'Missing event type');
+}
+if (!values.org) {
+  usage('Missing --org');
+}
+if (!PAID_TIERS.includes(values.tier)) {
+  usage(`--tier must be one of: ${PAID_TIERS.join(', ')}`);
+}
+if (!secret) {
+  usage('STRIPE_WEBHOOK_SECRET is not set');
+}
+
+const priceId = PLANS[values.tier].stripePriceId || `price_fixture_${values.tier}`;
+if (!PLANS[values.tier].stripePriceId) {
+  console.warn(`⚠️ STRIPE_PRICE_ID_${values.tier.toUpperCase()} is not set - subscription events will not map to a tier`);
+}
+
+const event = JSON.parse(
+  fs.readFileSync(fixturePath, 'utf8')
+    .replaceAll('__ORGANIZATION_ID__', values.org)
+    .replaceAll('__TIER__', values.tier)
+    .replaceAll('__PRICE_ID__', priceId)
+);
+event.id = `${event.id}_${Date.now()}`;
+event.created = Math.floor(Date.now() / 1000);
+
+const payload = JSON.stringify(event);
+const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+const response = await fetch(values.url, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', 'stripe-signature': signature },
+  body: payload
+});
+
+console.log(`${response.ok ? '✅' : '❌'} ${event.type} -> ${response.status}`);
+console.log(await response.text());
+process.exit(response.ok ? 0 : 1);
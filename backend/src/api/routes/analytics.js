@@ -0,0 +1,120 @@
+import express from 'express';
+import { requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * קריאת הסינון מה-query: from / to (ISO, to לא כולל), session_id ו-tz (IANA, ברירת מחדל UTC)
+ * ברירת מחדל: 30 הימים האחרונים. session_id חייב להיות של ה-organization
+ */
+async function parseFilters(req) {
+  const { from, to, session_id: sessionId = null, tz = 'UTC' } = req.query;
+  const { sessionManager } = req.app.locals;
+
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  // פרמטר שחוזר פעמיים (?session_id=a&session_id=b) מגיע כמערך
+  for (const [name, value] of Object.entries({ from, to, session_id: sessionId, tz })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw invalid(`${name} must be a single value`);
+    }
+  }
+
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    throw invalid('from and to must be ISO dates (e.g. 2024-05-01)');
+  }
+  if (fromDate >= toDate) {
+    throw invalid('from must be before to');
+  }
+  if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+    throw invalid(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: tz });
+  } catch {
+    throw invalid(`Unknown time zone: ${tz}`);
+  }
+
+  // session של organization אחרת מחזיר 404, כמו ב-requireSessionAccess
+  if (sessionId && (await sessionManager.getSessionOrganizationId(sessionId)) !== req.organization.id) {
+    const error = new Error('Session not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return { from: fromDate, to: toDate, sessionId, timezone: tz };
+}
+
+/**
+ * route של analytics: סינון + תשובה עם הטווח שבו השתמשנו
+ * @param {Function} query - (analyticsService, organization, filters) => Promise
+ */
+function analyticsRoute(query) {
+  return async (req, res) => {
+    const { analyticsService } = req.app.locals;
+
+    try {
+      const filters = await parseFilters(req);
+      const data = await query(analyticsService, req.organization, filters);
+
+      res.json({
+        from: filters.from.toISOString(),
+        to: filters.to.toISOString(),
+        session_id: filters.sessionId,
+        tz: filters.timezone,
+        data
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
+// Everything below in one response (monthly client report)
+router.get('/report', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getReport(organization, filters)
+));
+
+// Messages per day per session
+router.get('/messages-per-day', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getMessagesPerDay(organization.id, filters)
+));
+
+// Inbound / outbound split (total and per message type)
+router.get('/direction', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getDirectionSplit(organization.id, filters)
+));
+
+// GHL sync success rate
+router.get('/ghl-sync', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getGHLSyncStats(organization.id, filters)
+));
+
+// Average / median first-response time
+router.get('/response-time', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getFirstResponseTime(organization.id, filters)
+));
+
+// Busiest hours of the day
+router.get('/busiest-hours', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getBusiestHours(organization.id, filters)
+));
+
+// Monthly usage (usage_tracking) against the plan limits
+router.get('/usage', requirePermission('messages:read'), analyticsRoute((analytics, organization, filters) =>
+  analytics.getUsage(organization, filters)
+));
+
+export default router;
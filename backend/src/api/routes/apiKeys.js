@@ -0,0 +1,56 @@
+import express from 'express';
+import ApiKeyService, { API_KEY_SCOPES } from '../../services/ApiKeyService.js';
+import { requirePermission, requireUser } from '../../middleware/auth.js';
+import { validateUuid } from '../../middleware/security.js';
+
+const router = express.Router();
+const apiKeyService = new ApiKeyService();
+
+// ניהול keys רק ע"י משתמש מחובר - API key לא יכול ליצור keys נוספים
+router.use(requireUser, requirePermission('api_keys:manage'));
+
+// List the organization's API keys
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.organization.id);
+    res.json({ keys, availableScopes: API_KEY_SCOPES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create API key (the key is returned only in this response)
+router.post('/', async (req, res) => {
+  const { name, scopes, expires_at } = req.body;
+
+  try {
+    const key = await apiKeyService.createKey(req.organization.id, {
+      name,
+      scopes: Array.isArray(scopes) ? scopes : [],
+      createdBy: req.user.id,
+      expiresAt: expires_at ?? null
+    });
+
+    res.status(201).json({ success: true, ...key });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Revoke API key
+router.delete('/:key_id', async (req, res) => {
+  try {
+    const revoked = validateUuid(req.params.key_id)
+      && await apiKeyService.revokeKey(req.organization.id, req.params.key_id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
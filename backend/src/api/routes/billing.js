@@ -0,0 +1,61 @@
+import express from 'express';
+import { authenticateUser, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Current plan, limits and available plans
+router.get('/', authenticateUser, requirePermission('billing:manage'), (req, res) => {
+  const { billingService } = req.app.locals;
+
+  res.json({
+    ...billingService.getBillingStatus(req.organization),
+    configured: billingService.isConfigured()
+  });
+});
+
+// Start a Stripe Checkout for a paid tier
+router.post('/checkout', authenticateUser, requirePermission('billing:manage'), async (req, res) => {
+  const { billingService } = req.app.locals;
+  const { tier } = req.body;
+
+  try {
+    const url = await billingService.createCheckoutSession(req.organization, tier, req.user);
+    res.json({ url });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Stripe Customer Portal (change plan, payment method, cancel)
+router.post('/portal', authenticateUser, requirePermission('billing:manage'), async (req, res) => {
+  const { billingService } = req.app.locals;
+
+  try {
+    const url = await billingService.createPortalSession(req.organization);
+    res.json({ url });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Stripe subscription webhooks (stripe-signature על ה-raw body)
+// שגיאה בטיפול מחזירה 500, כדי ש-Stripe ישלח את ה-event שוב
+router.post('/webhook', async (req, res) => {
+  const { billingService } = req.app.locals;
+
+  let event;
+  try {
+    event = billingService.constructEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  try {
+    const result = await billingService.handleEvent(event);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,86 @@
+import express from 'express';
+import { validateWebhookSignature, validateGHLAppWebhook } from '../../middleware/security.js';
+import { authenticateUser, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Outbound message webhook from GHL (CRM -> WhatsApp)
+router.post('/webhook', validateWebhookSignature, async (req, res) => {
+  const { ghlWebhookService } = req.app.locals;
+  const { type } = req.body;
+
+  // GHL שולח גם אירועים אחרים לאותו webhook - מטפלים רק בהודעות יוצאות
+  if (type && !['SMS', 'OutboundMessage', 'Custom', 'WhatsApp'].includes(type)) {
+    return res.json({ success: true, ignored: true, type });
+  }
+
+  try {
+    const result = await ghlWebhookService.handleOutboundWebhook(req.body, req.webhookOrganizationId);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.quota && { quota: error.quota })
+    });
+  }
+});
+
+// Start marketplace app installation for the caller's organization
+// מחזיר את הקישור (ה-frontend מפנה אליו) - הפניה ישירה לא יכולה לשאת Authorization header
+router.get('/oauth/install', authenticateUser, requirePermission('integrations:manage'), (req, res) => {
+  const { ghlTokenManager } = req.app.locals;
+
+  if (!ghlTokenManager.isConfigured()) {
+    return res.status(503).json({ error: 'GHL OAuth is not configured' });
+  }
+
+  res.json({ url: ghlTokenManager.getAuthorizationUrl(req.organization.id) });
+});
+
+// OAuth callback (authorization code -> tokens)
+router.get('/oauth/callback', async (req, res) => {
+  const { ghlTokenManager } = req.app.locals;
+  const { code, state } = req.query;
+  const frontendUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+
+  try {
+    const result = await ghlTokenManager.handleCallback(code, state);
+
+    if (frontendUrl) {
+      return res.redirect(`${frontendUrl}/settings?ghl_install=success&location_id=${encodeURIComponent(result.locationId)}`);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.status || error.response?.status || 500;
+
+    if (frontendUrl) {
+      return res.redirect(`${frontendUrl}/settings?ghl_install=error&message=${encodeURIComponent(error.message)}`);
+    }
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Marketplace app lifecycle webhooks (INSTALL / UNINSTALL)
+router.post('/app-webhook', validateGHLAppWebhook, async (req, res) => {
+  const { ghlTokenManager } = req.app.locals;
+  const { type } = req.body;
+
+  try {
+    if (type === 'UNINSTALL') {
+      const removed = await ghlTokenManager.handleUninstall(req.body);
+      return res.json({ success: true, removed });
+    }
+
+    // INSTALL מגיע גם דרך ה-OAuth callback, שם נשמרים ה-tokens
+    res.json({ success: true, ignored: true, type });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,9 +1,10 @@
 import express from 'express';
+import { requirePermission, requireSessionAccess } from '../../middleware/auth.js';
 
 const router = express.Router();
 
 // Get all groups for a session
-router.get('/:session_id/groups', async (req, res) => {
+router.get('/:session_id/groups', requirePermission('groups:read'), requireSessionAccess, async (req, res) => {
   const { session_id } = req.params;
   const { sessionManager } = req.app.locals;
 
@@ -16,7 +17,7 @@ router.get('/:session_id/groups', async (req, res) => {
 });
 
 // Create new group
-router.post('/:session_id/create', async (req, res) => {
+router.post('/:session_id/create', requirePermission('groups:manage'), requireSessionAccess, async (req, res) => {
   const { session_id } = req.params;
   const { group_name, participants } = req.body;
   const { sessionManager } = req.app.locals;
@@ -30,7 +31,7 @@ router.post('/:session_id/create', async (req, res) => {
 });
 
 // Add participants
-router.post('/:group_jid/add-participants', async (req, res) => {
+router.post('/:group_jid/add-participants', requirePermission('groups:manage'), requireSessionAccess, async (req, res) => {
   const { group_jid } = req.params;
   const { session_id, participants } = req.body;
   const { sessionManager } = req.app.locals;
@@ -44,7 +45,7 @@ router.post('/:group_jid/add-participants', async (req, res) => {
 });
 
 // Promote to admin
-router.post('/:group_jid/promote', async (req, res) => {
+router.post('/:group_jid/promote', requirePermission('groups:manage'), requireSessionAccess, async (req, res) => {
   const { group_jid } = req.params;
   const { session_id, participants } = req.body;
   const { sessionManager } = req.app.locals;
@@ -3,10 +3,15 @@ import express from 'express';
 const router = express.Router();
 
 router.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
+  const { sessionManager, shuttingDown } = req.app.locals;
+
+  // בזמן shutdown ה-load balancer מפסיק לשלוח לכאן בקשות
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? 'shutting_down' : 'ok',
     uptime: process.uptime(),
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    instanceId: sessionManager.leaseManager?.instanceId || null,
+    localSessions: sessionManager.getLocalSessionIds().length
   });
 });
 
@@ -0,0 +1,44 @@
+import express from 'express';
+import path from 'path';
+import { verifyMediaSignature } from '../../storage/MediaStorage.js';
+import { mimetypeForKey } from '../../storage/mediaTypes.js';
+
+const router = express.Router();
+
+// Download media file (קישור חתום ומוגבל בזמן, בתוך ה-organization בלבד)
+router.get('/:organization_id/*', async (req, res) => {
+  const { organization_id } = req.params;
+  const { expires, signature } = req.query;
+  const { mediaStorage } = req.app.locals;
+  const key = `${organization_id}/${req.params[0]}`;
+
+  if (!verifyMediaSignature(organization_id, key, expires, signature)) {
+    return res.status(403).json({ error: 'Invalid or expired media link' });
+  }
+
+  try {
+    const file = await mediaStorage.get(key);
+
+    if (!file) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    // ה-type נקבע לפי הסיומת (allowlist) ולא לפי ה-mimetype שהשולח ב-WhatsApp הצהיר עליו -
+    // html / svg לא יוגשו כדף מה-origin של ה-API
+    const mimetype = mimetypeForKey(key);
+    if (!/^(image|audio|video)\//.test(mimetype)) {
+      res.attachment(path.basename(key));
+    }
+    res.setHeader('Content-Type', mimetype);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (file.size) res.setHeader('Content-Length', file.size);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+
+    file.stream.on('error', () => res.destroy());
+    file.stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import MemberService from '../../services/MemberService.js';
+import {
+  authenticateToken,
+  authenticateUser,
+  requirePermission,
+  requireUser
+} from '../../middleware/auth.js';
+import { validateUuid } from '../../middleware/security.js';
+
+const router = express.Router();
+const memberService = new MemberService();
+
+// Accept invitation - המשתמש עדיין לא חבר, לכן רק אימות JWT
+router.post('/invitations/accept', authenticateToken, async (req, res) => {
+  try {
+    const result = await memberService.acceptInvitation(req.body.token, req.user);
+    res.json({ success: true, organization_id: result.organizationId, role: result.role });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.use(authenticateUser, requireUser);
+
+// List members (כל חבר יכול לראות את הצוות)
+router.get('/', async (req, res) => {
+  try {
+    const members = await memberService.listMembers(req.organization.id);
+    res.json({ members, role: req.membership.role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change member role
+router.patch('/:user_id', requirePermission('members:manage'), async (req, res) => {
+  if (!validateUuid(req.params.user_id)) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+
+  try {
+    const member = await memberService.updateRole(req.organization.id, req.params.user_id, req.body.role);
+    res.json({ success: true, member });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Remove member
+router.delete('/:user_id', requirePermission('members:manage'), async (req, res) => {
+  if (!validateUuid(req.params.user_id)) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+
+  try {
+    await memberService.removeMember(req.organization.id, req.params.user_id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// List pending invitations
+router.get('/invitations', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const invitations = await memberService.listInvitations(req.organization.id);
+    res.json({ invitations });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite by email (the token / link is returned only in this response)
+router.post('/invitations', requirePermission('members:manage'), async (req, res) => {
+  const { email, role } = req.body;
+  const frontendUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+
+  try {
+    const invitation = await memberService.createInvitation(req.organization.id, {
+      email,
+      role,
+      invitedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      ...invitation,
+      invite_url: frontendUrl ? `${frontendUrl}/invite?token=${invitation.token}` : null
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Revoke invitation
+router.delete('/invitations/:invitation_id', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const revoked = validateUuid(req.params.invitation_id)
+      && await memberService.revokeInvitation(req.organization.id, req.params.invitation_id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,17 +1,149 @@
 import express from 'express';
+import multer from 'multer';
+import { requirePermission, requireSessionAccess } from '../../middleware/auth.js';
+import { validateUuid } from '../../middleware/security.js';
+import {
+  MEDIA_TYPES,
+  MAX_MEDIA_SIZE,
+  fileNameFromUrl,
+  validateMediaContent
+} from '../../whatsapp/OutboundContent.js';
+import { getRemoteSize } from '../../whatsapp/RemoteMedia.js';
 
 const router = express.Router();
 
-// Send message
-router.post('/:session_id/send', async (req, res) => {
+// קבצים נשמרים בזיכרון ונכנסים לתור כ-base64 (שורדים restart)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MEDIA_SIZE, files: 1 }
+});
+
+/**
+ * multer כ-middleware שמחזיר 413/400 במקום לזרוק ל-error handler
+ */
+function handleUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ error: err.message });
+  });
+}
+
+/**
+ * בניית תוכן מדיה מ-multipart upload או מ-media_url
+ * @param {object} req
+ * @param {string} type
+ * @returns {Promise<object>} { url | data, mimetype, fileName, caption }
+ */
+async function buildMediaContent(req, type) {
+  const { media_url, caption, file_name, mimetype } = req.body;
+
+  if (req.file) {
+    const content = {
+      data: req.file.buffer.toString('base64'),
+      mimetype: mimetype || req.file.mimetype,
+      fileName: file_name || req.file.originalname,
+      caption: caption || null
+    };
+    validateMediaContent(type, content, req.file.size);
+    return content;
+  }
+
+  const content = {
+    url: media_url,
+    mimetype: mimetype || null,
+    fileName: file_name || fileNameFromUrl(media_url),
+    caption: caption || null
+  };
+  // URL חסר / לא http(s) נדחה לפני בקשת ה-HEAD
+  validateMediaContent(type, content);
+  // URL פנימי נדחה ב-getRemoteSize (400); הגודל נאכף שוב בהורדה בזמן השליחה
+  validateMediaContent(type, content, await getRemoteSize(media_url));
+  return content;
+}
+
+// Send message (נכנס לתור ונשלח ע"י MessageQueue)
+// JSON: { to, message } או { to, type, media_url, caption, file_name, mimetype }
+// multipart: to, type, caption, file_name + קובץ בשדה file
+router.post('/:session_id/send', requirePermission('messages:send'), requireSessionAccess, handleUpload, async (req, res) => {
   const { session_id } = req.params;
   const { to, message } = req.body;
-  const { sessionManager } = req.app.locals;
+  const type = req.body.type || (req.file ? 'document' : 'text');
+  const { messageQueue } = req.app.locals;
+
+  if (!to) {
+    return res.status(400).json({ error: 'Missing required fields', missing: ['to'] });
+  }
+
+  if (type !== 'text' && !MEDIA_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Unsupported message type: ${type}` });
+  }
 
   try {
+    let content = message;
+
+    if (type === 'text') {
+      if (!message) {
+        return res.status(400).json({ error: 'Missing required fields', missing: ['message'] });
+      }
+    } else {
+      content = await buildMediaContent(req, type);
+    }
+
     const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-    await sessionManager.sendMessage(session_id, jid, message);
-    res.json({ success: true });
+    const queueId = await messageQueue.enqueue(session_id, { jid, content, type });
+    res.json({ success: true, queue_id: queueId });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...(error.quota && { quota: error.quota }) });
+  }
+});
+
+// Queue status for a session
+router.get('/:session_id/queue', requirePermission('messages:read'), requireSessionAccess, async (req, res) => {
+  const { session_id } = req.params;
+  const { messageQueue } = req.app.locals;
+
+  try {
+    const status = await messageQueue.getQueueStatus(session_id);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Single queued message status
+router.get('/:session_id/queue/:queue_id', requirePermission('messages:read'), requireSessionAccess, async (req, res) => {
+  const { session_id, queue_id } = req.params;
+  const { messageQueue } = req.app.locals;
+
+  try {
+    const item = validateUuid(queue_id) ? await messageQueue.getItem(queue_id) : null;
+
+    if (!item || item.session_id !== session_id) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued message
+router.post('/:session_id/queue/:queue_id/cancel', requirePermission('messages:send'), requireSessionAccess, async (req, res) => {
+  const { session_id, queue_id } = req.params;
+  const { messageQueue } = req.app.locals;
+
+  try {
+    const item = validateUuid(queue_id) ? await messageQueue.getItem(queue_id) : null;
+
+    if (!item || item.session_id !== session_id) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const cancelled = await messageQueue.cancel(queue_id);
+    res.json({ success: cancelled, status: cancelled ? 'cancelled' : item.status });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,70 @@
+import express from 'express';
+import pool from '../../config/database.js';
+import { permissionsForRole } from '../../config/permissions.js';
+import { requirePermission } from '../../middleware/auth.js';
+import GHLService, { GHLAuthError, GHLNotFoundError } from '../../services/ghlService.js';
+
+const router = express.Router();
+
+// Current organization (בלי secrets)
+router.get('/', (req, res) => {
+  const { ghl_api_key, webhook_secret, ...organization } = req.organization;
+
+  res.json({
+    organization: {
+      ...organization,
+      has_ghl_api_key: Boolean(ghl_api_key),
+      has_webhook_secret: Boolean(webhook_secret)
+    },
+    role: req.membership?.role || null,
+    permissions: req.apiKey ? req.apiKey.scopes : permissionsForRole(req.membership?.role)
+  });
+});
+
+// Update GHL credentials / webhook settings
+// ghl_location_id נשמר רק אחרי שה-ghl_api_key הצליח לקרוא את ה-location ב-GHL (או דרך התקנת ה-OAuth app)
+router.patch('/ghl', requirePermission('integrations:manage'), async (req, res) => {
+  const fields = ['ghl_api_key', 'ghl_location_id', 'webhook_url', 'webhook_secret'];
+  const updates = fields.filter(field => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: `Provide at least one of: ${fields.join(', ')}` });
+  }
+
+  const locationId = req.body.ghl_location_id;
+
+  if (locationId) {
+    const accessToken = req.body.ghl_api_key ?? req.organization.ghl_api_key;
+
+    if (typeof locationId !== 'string' || !accessToken) {
+      return res.status(400).json({ error: 'ghl_location_id must be a string and requires a ghl_api_key for that location' });
+    }
+
+    try {
+      await new GHLService({ accessToken, locationId, maxRetries: 0 }).getLocation();
+    } catch (error) {
+      if (error instanceof GHLAuthError || error instanceof GHLNotFoundError) {
+        return res.status(400).json({ error: 'ghl_api_key does not have access to this ghl_location_id' });
+      }
+      return res.status(502).json({ error: `Could not verify the location with GHL: ${error.message}` });
+    }
+  }
+
+  try {
+    const assignments = updates.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    await pool.query(
+      `UPDATE organizations SET ${assignments} WHERE id = $1`,
+      // '' ב-ghl_location_id מנתק את ה-location (NULL - לא מתנגש ב-UNIQUE)
+      [req.organization.id, ...updates.map(field => (field === 'ghl_location_id' ? locationId || null : req.body[field] ?? null))]
+    );
+
+    res.json({ success: true, updated: updates });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This GHL location is already linked to another organization' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
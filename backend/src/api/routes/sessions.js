@@ -1,46 +1,70 @@
 import express from 'express';
-import { generateQRDataURL } from '../../whatsapp/QRGenerator.js';
+import { requirePermission, requireSessionAccess, checkSubscriptionLimits } from '../../middleware/auth.js';
+import { validateSessionId } from '../../middleware/security.js';
+import { QR_FORMATS, generateQR, generateQRDataURL } from '../../whatsapp/QRGenerator.js';
 
 const router = express.Router();
 
-// Create new session
-router.post('/create', async (req, res) => {
-  const { session_id, user_id, sub_account_id } = req.body;
-  const { sessionManager, io } = req.app.locals;
+// Create new session (QR, או pairing code כשנשלח phone_number)
+router.post('/create', requirePermission('sessions:manage'), checkSubscriptionLimits, async (req, res) => {
+  const { session_id, phone_number } = req.body;
+  const organization_id = req.organization.id;
+  const { sessionManager, quotaService } = req.app.locals;
+
+  if (!session_id) {
+    return res.status(400).json({ error: 'Missing required fields', missing: ['session_id'] });
+  }
+
+  if (!validateSessionId(session_id)) {
+    return res.status(400).json({ error: 'session_id may contain only letters, digits, - and _ (up to 100 characters)' });
+  }
 
   try {
-    await sessionManager.createSession(session_id, {
-      onQR: async (qr) => {
-        const qrDataURL = await generateQRDataURL(qr);
-        io.to(session_id).emit('qr_updated', { qr: qrDataURL });
-      },
-      onConnected: (data) => {
-        io.to(session_id).emit('connection_status', {
-          status: 'connected',
-          phoneNumber: data.phoneNumber
-        });
-      },
-      onDisconnect: () => {
-        io.to(session_id).emit('connection_status', { status: 'disconnected' });
-      },
-      onMessage: async (msg) => {
-        // TODO: Save to database and sync to GHL
-        io.to(session_id).emit('new_message', {
-          from: msg.key.remoteJid,
-          message: msg.message?.conversation || '',
-          timestamp: new Date(msg.messageTimestamp * 1000)
-        });
-      }
-    });
+    const phoneNumber = phone_number ? sessionManager.normalizePairingPhone(phone_number) : null;
+
+    // session_id תפוס ע"י organization אחרת
+    const existing = sessionManager.getSession(session_id);
+    const existingOrgId = existing
+      ? existing.organizationId
+      : (await sessionManager.persistence.getSessionRecord(session_id))?.organization_id;
+
+    if (existingOrgId && existingOrgId !== organization_id) {
+      return res.status(409).json({ error: 'Session ID already in use' });
+    }
+
+    // session פתוח (כאן או ב-instance אחר) - בלי לגעת ברשומה, שלא תחזור ל-connecting
+    if (existing) {
+      return res.status(409).json({ error: 'Session already exists', status: existing.status });
+    }
+
+    const owner = await sessionManager.leaseManager?.getOwner(session_id);
+    if (owner && !owner.isLocal) {
+      return res.status(409).json({ error: 'Session is active on another instance' });
+    }
+
+    // רשומת ה-session מקשרת את ההודעות הנכנסות ל-organization
+    // (נוצרת רק אם היא נכנסת במגבלת החשבונות - בדיקה והכנסה תחת נעילה, גם מול בקשות מקבילות)
+    await quotaService.createSessionWithinQuota(organization_id, session_id);
+
+    // ההמתנה נרשמת לפני createSession - הקוד יכול להגיע מיד
+    const pairingCode = phoneNumber ? sessionManager.waitForPairingCode(session_id) : null;
 
-    res.json({ success: true, session_id, message: 'Session created successfully' });
+    // QR / pairing code / סטטוס מגיעים ל-Socket.IO דרך ה-session event bus
+    await sessionManager.createSession(session_id, { organizationId: organization_id, phoneNumber });
+
+    res.json({
+      success: true,
+      session_id,
+      ...(phoneNumber && { pairing_code: await pairingCode }),
+      message: 'Session created successfully'
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message, ...(error.quota && { quota: error.quota }) });
   }
 });
 
 // Get session status
-router.get('/:session_id/status', (req, res) => {
+router.get('/:session_id/status', requirePermission('sessions:read'), requireSessionAccess, (req, res) => {
   const { session_id } = req.params;
   const { sessionManager } = req.app.locals;
 
@@ -57,15 +81,72 @@ router.get('/:session_id/status', (req, res) => {
   });
 });
 
-// List all sessions
-router.get('/', (req, res) => {
+// Get the current QR code (json | png | svg | terminal)
+router.get('/:session_id/qr', requirePermission('sessions:manage'), requireSessionAccess, async (req, res) => {
+  const { session_id } = req.params;
+  const { format = 'json' } = req.query;
   const { sessionManager } = req.app.locals;
-  const sessions = sessionManager.getAllSessions();
-  res.json({ sessions });
+
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${QR_FORMATS.join(', ')}` });
+  }
+
+  const session = sessionManager.getSession(session_id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (session.status === 'connected') {
+    return res.status(409).json({ error: 'Session already connected' });
+  }
+
+  const loginCode = sessionManager.getLoginCode(session_id);
+  if (!loginCode) {
+    return res.status(404).json({ error: 'No QR code available yet' });
+  }
+
+  if (loginCode.type === 'pairing_code') {
+    return res.status(409).json({
+      error: 'Session is using a pairing code',
+      pairing_code: loginCode.value,
+      expires_at: loginCode.expiresAt
+    });
+  }
+
+  try {
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'json') {
+      return res.json({
+        qr: await generateQRDataURL(loginCode.value),
+        expires_at: loginCode.expiresAt,
+        rotation: loginCode.rotation,
+        max_rotations: loginCode.maxRotations
+      });
+    }
+
+    const { contentType, body } = await generateQR(loginCode.value, format);
+    res.set('X-QR-Expires-At', loginCode.expiresAt.toISOString());
+    res.type(contentType).send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the organization's sessions
+router.get('/', requirePermission('sessions:read'), async (req, res) => {
+  const { sessionManager } = req.app.locals;
+
+  try {
+    const sessions = await sessionManager.listSessions(req.organization.id);
+    res.json({ sessions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Disconnect session
-router.post('/:session_id/disconnect', async (req, res) => {
+router.post('/:session_id/disconnect', requirePermission('sessions:manage'), requireSessionAccess, async (req, res) => {
   const { session_id } = req.params;
   const { sessionManager } = req.app.locals;
 
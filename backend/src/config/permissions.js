@@ -0,0 +1,48 @@
+/**
+ * Roles & Permissions - הרשאות של חברי organization
+ *
+ * כל route מצהיר על ה-permission שהוא צריך (requirePermission).
+ * ה-scopes של API keys הם תת-קבוצה של אותן permissions.
+ */
+
+export const ROLES = ['owner', 'admin', 'agent', 'read_only'];
+
+// תפקידים שאפשר לתת בהזמנה / בשינוי תפקיד (owner יש רק אחד)
+export const ASSIGNABLE_ROLES = ['admin', 'agent', 'read_only'];
+
+export const PERMISSIONS = [
+  'sessions:read',
+  'sessions:manage',
+  'messages:read',
+  'messages:send',
+  'groups:read',
+  'groups:manage',
+  'members:manage',
+  'api_keys:manage',
+  'integrations:manage',
+  'billing:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  admin: PERMISSIONS.filter(permission => permission !== 'billing:manage'),
+  agent: ['sessions:read', 'messages:read', 'messages:send', 'groups:read', 'groups:manage'],
+  read_only: ['sessions:read', 'messages:read', 'groups:read']
+};
+
+/**
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * @param {string} role
+ * @returns {string[]}
+ */
+export function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
@@ -0,0 +1,47 @@
+/**
+ * Subscription Plans - המגבלות של כל tier (organizations.max_accounts / max_messages_per_month)
+ *
+ * -1 = ללא הגבלה. ה-tiers בתשלום מקושרים ל-price ב-Stripe דרך STRIPE_PRICE_ID_*.
+ */
+
+export const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    max_accounts: 1,
+    max_messages_per_month: 500,
+    stripePriceId: null
+  },
+  starter: {
+    name: 'Starter',
+    price: 29,
+    max_accounts: 3,
+    max_messages_per_month: 5000,
+    stripePriceId: process.env.STRIPE_PRICE_ID_STARTER || null
+  },
+  pro: {
+    name: 'Pro',
+    price: 99,
+    max_accounts: 10,
+    max_messages_per_month: 50000,
+    stripePriceId: process.env.STRIPE_PRICE_ID_PRO || null
+  },
+  enterprise: {
+    name: 'Enterprise',
+    price: 299,
+    max_accounts: -1,
+    max_messages_per_month: -1,
+    stripePriceId: process.env.STRIPE_PRICE_ID_ENTERPRISE || null
+  }
+};
+
+export const PAID_TIERS = ['starter', 'pro', 'enterprise'];
+
+/**
+ * ה-tier של price ב-Stripe
+ * @param {string} priceId
+ * @returns {string|null}
+ */
+export function tierForPrice(priceId) {
+  return PAID_TIERS.find(tier => priceId && PLANS[tier].stripePriceId === priceId) || null;
+}
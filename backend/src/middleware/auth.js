@@ -1,63 +1,162 @@
+import { createRemoteJWKSet, jwtVerify } from 'jose';
 import pool from '../config/database.js';
 import pino from 'pino';
+import ApiKeyService from '../services/ApiKeyService.js';
+import { hasPermission } from '../config/permissions.js';
+import { forwardToSessionOwner } from './sessionRouting.js';
+import { validateUuid } from './security.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+const JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const SUPABASE_URL = (process.env.SUPABASE_URL || '').replace(/\/$/, '');
+
+const apiKeyService = new ApiKeyService();
+
+// HS256 עם ה-JWT secret של הפרויקט, או JWKS (פרויקטים עם asymmetric signing keys)
+const jwtSecret = process.env.SUPABASE_JWT_SECRET
+  ? new TextEncoder().encode(process.env.SUPABASE_JWT_SECRET)
+  : null;
+const jwks = !jwtSecret && SUPABASE_URL
+  ? createRemoteJWKSet(new URL(`${SUPABASE_URL}/auth/v1/.well-known/jwks.json`))
+  : null;
+
+/**
+ * שגיאת אימות עם HTTP status
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * אימות Supabase access token (חתימה, תוקף, audience ו-issuer)
+ * @param {string} token
+ * @returns {Promise<object>} { id, email, role, claims }
+ */
+export async function verifySupabaseToken(token) {
+  if (!jwtSecret && !jwks) {
+    throw authError('Authentication is not configured (SUPABASE_JWT_SECRET or SUPABASE_URL)', 500);
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, jwtSecret || jwks, {
+      audience: JWT_AUDIENCE,
+      ...(SUPABASE_URL && { issuer: `${SUPABASE_URL}/auth/v1` })
+    });
+
+    if (!payload.sub) {
+      throw authError('Token has no subject');
+    }
+
+    return { id: payload.sub, email: payload.email || null, role: payload.role || null, claims: payload };
+  } catch (error) {
+    if (error.status) throw error;
+
+    switch (error.code) {
+      case 'ERR_JWT_EXPIRED':
+        throw authError('Token expired');
+      case 'ERR_JWT_CLAIM_VALIDATION_FAILED':
+        throw authError(`Invalid token claim: ${error.claim}`);
+      case 'ERR_JWKS_TIMEOUT':
+      case 'ERR_JWKS_INVALID':
+        logger.error('❌ Failed to load Supabase JWKS:', error.message);
+        throw authError('Authentication temporarily unavailable', 503);
+      default:
+        throw authError('Invalid token');
+    }
+  }
+}
+
+/**
+ * ה-organization של המשתמש והתפקיד שלו בה
+ * @param {string} userId
+ * @param {string} requestedOrgId - (אופציונלי) x-organization-id; אחרת owner קודם, ואז הראשונה שהצטרף אליה
+ * @returns {Promise<object|null>} { organization, role }
+ */
+async function findMembership(userId, requestedOrgId = null) {
+  const { rows } = await pool.query(
+    `SELECT o.*, m.role AS member_role
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.user_id = $1
+     AND ($2::uuid IS NULL OR o.id = $2::uuid)
+     ORDER BY (m.role = 'owner') DESC, m.created_at ASC
+     LIMIT 1`,
+    [userId, requestedOrgId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { member_role: role, ...organization } = rows[0];
+  return { organization, role };
+}
+
 /**
  * Authentication Middleware - מאמת משתמשים באמצעות Supabase JWT
  *
  * בודק:
  * 1. Authorization header קיים
- * 2. Token תקין
- * 3. משתמש קיים במערכת
- * 4. טוען את ה-organization של המשתמש
+ * 2. Token תקין (חתימה, exp, aud = authenticated)
+ * 3. טוען את ה-organization של המשתמש ואת התפקיד שלו בה (organization_members)
+ *    משתמש שחבר בכמה organizations בוחר אחת עם x-organization-id,
+ *    אחרת נבחרת זו שהוא ה-owner שלה (או הראשונה שהצטרף אליה)
+ *
+ * כחלופה ל-JWT מתקבל גם API key של organization (x-api-key או Bearer wgk_...)
  *
- * הוסף את req.user ו-req.organization
+ * הוסף את req.user, req.organization ו-req.membership (ו-req.apiKey בגישה עם API key)
  */
 export async function authenticateUser(req, res, next) {
   const authHeader = req.headers.authorization;
+  const bearer = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const apiKey = req.headers['x-api-key'] || (apiKeyService.isApiKey(bearer) ? bearer : null);
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
+  if (!bearer) {
     return res.status(401).json({
       error: 'Missing or invalid authorization header',
-      message: 'Please provide a valid Bearer token'
+      message: 'Please provide a valid Bearer token or x-api-key header'
     });
   }
 
-  const token = authHeader.split(' ')[1];
-
+  let user;
   try {
-    // אימות עם Supabase (דורש @supabase/supabase-js package)
-    // לצורך הדגמה, נבדוק את הטוקן מול הDB
-    // בפועל תשתמש ב-supabase.auth.getUser(token)
-
-    // TODO: התקן @supabase/supabase-js והשתמש ב-SDK
-    // const { data: { user }, error } = await supabase.auth.getUser(token);
-
-    // זמנית - נניח שה-token מכיל user_id (במציאות תפענח JWT)
-    const userId = extractUserIdFromToken(token);
+    user = await verifySupabaseToken(bearer);
+  } catch (error) {
+    return rejectToken(error, res);
+  }
 
-    if (!userId) {
-      return res.status(401).json({ error: 'Invalid token' });
+  try {
+    const requestedOrgId = req.headers['x-organization-id'] || null;
+    if (requestedOrgId && !validateUuid(requestedOrgId)) {
+      return res.status(400).json({ error: 'x-organization-id must be a UUID' });
     }
 
-    // קבל את ה-organization של המשתמש
-    const { rows } = await pool.query(
-      'SELECT * FROM organizations WHERE owner_id = $1 LIMIT 1',
-      [userId]
-    );
+    const membership = await findMembership(user.id, requestedOrgId);
 
-    if (rows.length === 0) {
-      return res.status(403).json({ error: 'No organization found for user' });
+    if (!membership) {
+      return res.status(403).json({
+        error: requestedOrgId ? 'Not a member of this organization' : 'No organization found for user'
+      });
     }
 
-    const organization = rows[0];
+    const { organization, role } = membership;
 
     // הוסף לrequest
-    req.user = { id: userId };
+    req.user = user;
     req.organization = organization;
+    req.membership = { role };
 
-    logger.debug(`✅ Authenticated user ${userId} (org: ${organization.id})`);
+    logger.debug(`✅ Authenticated user ${user.id} (org: ${organization.id}, role: ${role})`);
     next();
   } catch (error) {
     logger.error('❌ Authentication failed:', error);
@@ -66,81 +165,238 @@ export async function authenticateUser(req, res, next) {
 }
 
 /**
- * פונקציה זמנית לחילוץ user_id מ-token
- * בפועל תשתמש ב-JWT library או Supabase SDK
+ * תשובת 401 / 5xx לשגיאת אימות token
+ */
+function rejectToken(error, res) {
+  if (error.status === 401) {
+    logger.debug(`🔒 Rejected token: ${error.message}`);
+  } else {
+    logger.error('❌ Token verification failed:', error.message);
+  }
+  return res.status(error.status || 401).json({ error: 'Unauthorized', message: error.message });
+}
+
+/**
+ * אימות JWT בלבד, בלי organization - למשתמש שעוד לא חבר (למשל קבלת הזמנה)
+ * הוסף את req.user
  */
-function extractUserIdFromToken(token) {
+export async function authenticateToken(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      error: 'Missing or invalid authorization header',
+      message: 'Please provide a valid Bearer token'
+    });
+  }
+
   try {
-    // זמנית - נניח שהטוקן הוא פשוט user_id
-    // בפועל: const payload = jwt.verify(token, process.env.JWT_SECRET);
-    return token; // החלף בפענוח JWT אמיתי!
+    req.user = await verifySupabaseToken(authHeader.split(' ')[1]);
+    next();
   } catch (error) {
-    return null;
+    return rejectToken(error, res);
   }
 }
 
 /**
- * Optional Middleware - בדיקת הרשאות subscription
- * מוודא שהמשתמש לא עבר את מגבלת החשבונות/הודעות
+ * אימות API key - ה-organization נקבעת לפי ה-key
  */
-export async function checkSubscriptionLimits(req, res, next) {
-  const { organization } = req;
-
+async function authenticateApiKey(key, req, res, next) {
   try {
-    // בדוק מגבלת חשבונות
-    const { rows: sessions } = await pool.query(
-      `SELECT COUNT(*) as count
-       FROM whatsapp_sessions
-       WHERE organization_id = $1 AND status != 'error'`,
-      [organization.id]
-    );
+    const result = await apiKeyService.verifyKey(key);
+
+    if (!result) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid, expired or revoked API key' });
+    }
 
-    const sessionCount = parseInt(sessions[0].count);
+    req.user = null;
+    req.apiKey = result.apiKey;
+    req.organization = result.organization;
 
-    if (sessionCount >= organization.max_accounts) {
+    logger.debug(`✅ Authenticated API key ${result.apiKey.id} (org: ${result.organization.id})`);
+    next();
+  } catch (error) {
+    logger.error('❌ API key authentication failed:', error);
+    return res.status(500).json({ error: 'Authentication failed', message: error.message });
+  }
+}
+
+/**
+ * האם המשתמש / ה-API key רשאים לבצע פעולה
+ * @param {object} identity - { apiKey, membership } (req או socket.data)
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function isAllowed({ apiKey, membership }, permission) {
+  return apiKey ? apiKey.scopes.includes(permission) : hasPermission(membership?.role, permission);
+}
+
+/**
+ * בדיקת הרשאה (למשל messages:send) - כל route מצהיר על ה-permission שהוא צריך
+ * משתמש: לפי התפקיד שלו ב-organization (config/permissions.js)
+ * API key: לפי ה-scopes של ה-key
+ * @param {string} permission
+ * @returns {Function} middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (!req.apiKey.scopes.includes(permission)) {
+        return res.status(403).json({
+          error: 'Insufficient scope',
+          message: `This API key is missing the ${permission} scope`,
+          required: permission
+        });
+      }
+      return next();
+    }
+
+    const role = req.membership?.role;
+    if (!hasPermission(role, permission)) {
       return res.status(403).json({
-        error: 'Account limit reached',
-        message: `Your plan allows ${organization.max_accounts} accounts. Please upgrade.`,
-        current: sessionCount,
-        limit: organization.max_accounts
+        error: 'Insufficient permissions',
+        message: `Your role (${role || 'none'}) does not allow ${permission}`,
+        required: permission
       });
     }
 
-    // בדוק מגבלת הודעות (לחודש הנוכחי)
-    const currentMonth = new Date().toISOString().slice(0, 7) + '-01';
-
-    const { rows: usage } = await pool.query(
-      `SELECT messages_sent, messages_received
-       FROM usage_tracking
-       WHERE organization_id = $1 AND period_start = $2::date`,
-      [organization.id, currentMonth]
-    );
-
-    if (usage.length > 0) {
-      const totalMessages = (usage[0].messages_sent || 0) + (usage[0].messages_received || 0);
-
-      if (totalMessages >= organization.max_messages_per_month) {
-        return res.status(429).json({
-          error: 'Message limit reached',
-          message: `Your plan allows ${organization.max_messages_per_month} messages per month.`,
-          current: totalMessages,
-          limit: organization.max_messages_per_month
-        });
+    next();
+  };
+}
+
+/**
+ * routes שזמינים רק למשתמשים (לא ל-API keys) - למשל ניהול ה-keys עצמם
+ */
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(403).json({ error: 'This endpoint requires a user session, not an API key' });
+  }
+  next();
+}
+
+/**
+ * Tenant isolation - מוודא שה-session שייך ל-organization של המשתמש
+ * session_id נלקח מה-URL או מה-body (ב-routes של קבוצות)
+ * session של organization אחרת מחזיר 404, כדי לא לחשוף שהוא קיים
+ * session שפתוח ב-instance אחר - הבקשה מועברת אליו (forwardToSessionOwner)
+ * (דורש authenticateUser לפני)
+ */
+export async function requireSessionAccess(req, res, next) {
+  const sessionId = req.params.session_id || req.body?.session_id;
+  const { sessionManager } = req.app.locals;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Missing required fields', missing: ['session_id'] });
+  }
+
+  try {
+    const organizationId = await sessionManager.getSessionOrganizationId(sessionId);
+
+    if (!organizationId || organizationId !== req.organization.id) {
+      logger.warn(`⚠️ Org ${req.organization.id} denied access to session ${sessionId}`);
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    return forwardToSessionOwner(req, res, next);
+  } catch (error) {
+    logger.error('❌ Session access check failed:', error);
+    return res.status(500).json({ error: 'Failed to check session access' });
+  }
+}
+
+/**
+ * Socket.IO middleware - אותו אימות כמו ב-REST (Supabase JWT או API key)
+ *
+ * ה-credentials נלקחים מ-handshake.auth ({ token, apiKey, organizationId }),
+ * או מה-headers (Authorization / x-api-key / x-organization-id) ל-clients של שרת.
+ * הוסף את socket.data.user, organization, membership ו-apiKey.
+ * socket עם JWT מנותק כשה-token פג תוקף (ה-client מתחבר מחדש עם token חדש).
+ */
+export async function authenticateSocket(socket, next) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const authHeader = headers.authorization;
+  const bearer = auth.token || (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+  const apiKey = auth.apiKey || headers['x-api-key'] || (apiKeyService.isApiKey(bearer) ? bearer : null);
+
+  const reject = (message, status = 401) => {
+    const error = new Error(message);
+    error.data = { status };
+    next(error);
+  };
+
+  try {
+    if (apiKey) {
+      const result = await apiKeyService.verifyKey(apiKey);
+      if (!result) {
+        return reject('Invalid, expired or revoked API key');
       }
+
+      socket.data = { user: null, apiKey: result.apiKey, organization: result.organization, membership: null };
+      return next();
+    }
+
+    if (!bearer) {
+      return reject('Missing token (handshake auth.token or auth.apiKey)');
+    }
+
+    const user = await verifySupabaseToken(bearer);
+    const requestedOrgId = auth.organizationId || headers['x-organization-id'] || null;
+    if (requestedOrgId && !validateUuid(requestedOrgId)) {
+      return reject('organizationId must be a UUID', 400);
+    }
+
+    const membership = await findMembership(user.id, requestedOrgId);
+
+    if (!membership) {
+      return reject(requestedOrgId ? 'Not a member of this organization' : 'No organization found for user', 403);
+    }
+
+    socket.data = {
+      user,
+      apiKey: null,
+      organization: membership.organization,
+      membership: { role: membership.role }
+    };
+
+    if (user.claims.exp) {
+      const timer = setTimeout(() => socket.disconnect(true), user.claims.exp * 1000 - Date.now());
+      socket.once('disconnect', () => clearTimeout(timer));
+    }
+
+    next();
+  } catch (error) {
+    if (!error.status) {
+      logger.error('❌ Socket authentication failed:', error);
     }
+    reject(error.status ? error.message : 'Authentication failed', error.status || 500);
+  }
+}
+
+/**
+ * Middleware - מגבלת החשבונות של ה-plan ביצירת session (QuotaService)
+ * בדיקה מוקדמת בלבד - האכיפה עצמה (תחת נעילה) ב-QuotaService.createSessionWithinQuota.
+ * מגבלת ההודעות נאכפת ב-MessageQueue, כך שהיא חלה גם על הודעות מ-GHL ועל bulk
+ */
+export async function checkSubscriptionLimits(req, res, next) {
+  const { quotaService } = req.app.locals;
 
+  try {
+    await quotaService.assertSessionQuota(req.organization.id, req.body?.session_id || null);
     next();
   } catch (error) {
+    if (error.quota) {
+      return res.status(error.status).json({ error: error.message, quota: error.quota });
+    }
     logger.error('❌ Failed to check subscription limits:', error);
     return res.status(500).json({ error: 'Failed to check limits' });
   }
 }
 
 /**
- * Admin-only middleware (לעתיד)
+ * Admin-only middleware - owner או admin של ה-organization
  */
 export function requireAdmin(req, res, next) {
-  if (!req.user || !req.user.is_admin) {
+  if (!req.user || !['owner', 'admin'].includes(req.membership?.role)) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
@@ -1,6 +1,8 @@
+import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import pino from 'pino';
+import pool from '../config/database.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
@@ -107,6 +109,13 @@ export function validateSessionId(sessionId) {
   return sessionRegex.test(sessionId) && sessionId.length <= 100;
 }
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Validate UUID ids (organization, queue item, API key...) before they reach a $n::uuid cast
+export function validateUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
 // Sanitize user input (prevent XSS)
 export function sanitizeInput(input) {
   if (typeof input !== 'string') {
@@ -136,19 +145,36 @@ export function validateRequestBody(requiredFields = []) {
 }
 
 /**
- * CORS Configuration
+ * האם ה-origin הוא lovable.app או subdomain שלו (preview של ה-frontend)
+ * @param {string} origin
+ * @returns {boolean}
+ */
+function isLovableOrigin(origin) {
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return protocol === 'https:' && (hostname === 'lovable.app' || hostname.endsWith('.lovable.app'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * CORS Configuration - משותף ל-Express ול-Socket.IO
+ * FRONTEND_URL + CORS_ORIGINS (רשימה מופרדת בפסיקים); localhost רק מחוץ ל-production
  */
+const allowedOrigins = [
+  process.env.FRONTEND_URL,
+  ...(process.env.CORS_ORIGINS || '').split(','),
+  ...(process.env.NODE_ENV === 'production' ? [] : [
+    'http://localhost:5173', // Vite dev server
+    'http://localhost:3000'
+  ])
+].map(origin => origin?.trim().replace(/\/$/, '')).filter(Boolean);
+
 export const corsOptions = {
   origin: (origin, callback) => {
-    const allowedOrigins = [
-      process.env.FRONTEND_URL,
-      'http://localhost:5173', // Vite dev server
-      'http://localhost:3000',
-      'https://lovable.app'
-    ].filter(Boolean);
-
     // Allow requests with no origin (mobile apps, Postman, etc.)
-    if (!origin || allowedOrigins.includes(origin) || origin.includes('lovable.app')) {
+    if (!origin || allowedOrigins.includes(origin) || isLovableOrigin(origin)) {
       callback(null, true);
     } else {
       logger.warn(`⚠️ Blocked CORS request from origin: ${origin}`);
@@ -156,8 +182,8 @@ export const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-organization-id']
 };
 
 /**
@@ -209,26 +235,220 @@ export function errorHandler(err, req, res, next) {
 
 /**
  * Webhook Signature Validation (for GHL webhooks)
+ *
+ * השולח חותם עם HMAC-SHA256 על `${timestamp}.${nonce}.${rawBody}` ושולח:
+ * - x-webhook-signature: hex (אפשר עם prefix של sha256=)
+ * - x-webhook-timestamp: unix seconds
+ * - x-webhook-nonce: מזהה חד-פעמי
+ *
+ * ה-organization נקבעת לפי locationId ב-body (ה-organization שתשלח את ההודעה),
+ * או לפי x-organization-id כשאין locationId. x-organization-id שסותר את ה-locationId נדחה.
+ * organization עם webhook_secret משלה נבדקת רק מולו; אחרת מול WEBHOOK_SECRET הגלובלי.
+ * בקשה עם timestamp מחוץ לחלון, או nonce שכבר נראה - נדחית.
+ */
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+const NONCE_CLEANUP_INTERVAL = 10 * 60 * 1000; // 10 דקות
+let lastNonceCleanup = 0;
+
+/**
+ * חישוב חתימה ל-webhook (משמש גם שולחים/בדיקות לחתימת בקשות)
+ * @param {string} secret
+ * @param {string|number} timestamp
+ * @param {string} nonce
+ * @param {Buffer|string} rawBody
+ * @returns {string} hex
+ */
+export function signWebhookPayload(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * השוואת חתימות ב-constant time
+ * @param {string} expected - hex
+ * @param {string} provided - hex
+ * @returns {boolean}
+ */
+function safeCompare(expected, provided) {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(provided, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * שגיאת אימות של webhook (401)
+ * @param {string} message
+ * @returns {Error}
+ */
+function webhookAuthError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+/**
+ * מציאת ה-organization של ה-webhook וה-secret שחותם עבורה
+ * ה-organization נקבעת לפי ה-locationId שב-body, כך שהחתימה תמיד שייכת ל-organization שתשלח את ההודעה
+ * @param {object} req
+ * @returns {Promise<{ organizationId: string|null, secret: string|null }>}
+ */
+async function getOrganizationSecret(req) {
+  const headerOrgId = req.headers['x-organization-id'];
+  const locationId = req.body?.locationId;
+
+  if (headerOrgId !== undefined && !validateUuid(headerOrgId)) {
+    throw webhookAuthError('Invalid x-organization-id');
+  }
+  if (locationId !== undefined && typeof locationId !== 'string') {
+    throw webhookAuthError('Invalid locationId');
+  }
+
+  if (!headerOrgId && !locationId) {
+    return { organizationId: null, secret: null };
+  }
+
+  const { rows } = locationId
+    ? await pool.query('SELECT id, webhook_secret FROM organizations WHERE ghl_location_id = $1', [locationId])
+    : await pool.query('SELECT id, webhook_secret FROM organizations WHERE id = $1', [headerOrgId]);
+
+  const organizationId = rows[0]?.id || null;
+
+  if (headerOrgId && organizationId !== headerOrgId.toLowerCase()) {
+    throw webhookAuthError('x-organization-id does not match the webhook location');
+  }
+
+  return { organizationId, secret: rows[0]?.webhook_secret || null };
+}
+
+/**
+ * רישום nonce - מחזיר false אם כבר נראה (replay)
+ * @param {string} nonce
+ * @param {string|null} organizationId
+ * @returns {Promise<boolean>}
+ */
+async function registerNonce(nonce, organizationId) {
+  if (Date.now() - lastNonceCleanup > NONCE_CLEANUP_INTERVAL) {
+    lastNonceCleanup = Date.now();
+    pool.query('DELETE FROM webhook_nonces WHERE expires_at < NOW()').catch((error) => {
+      logger.error('❌ Failed to clean up webhook nonces:', error.message);
+    });
+  }
+
+  // nonce נשמר כל עוד ה-timestamp שלו עדיין בתוך החלון (x2 לכיסוי clock skew לשני הכיוונים)
+  const { rowCount } = await pool.query(
+    `INSERT INTO webhook_nonces (nonce, organization_id, expires_at)
+     VALUES ($1, $2, NOW() + $3 * INTERVAL '1 second')
+     ON CONFLICT (nonce) DO NOTHING`,
+    [nonce, organizationId, WEBHOOK_TOLERANCE_SECONDS * 2]
+  );
+
+  return rowCount > 0;
+}
+
+export async function validateWebhookSignature(req, res, next) {
+  const signature = String(req.headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const nonce = req.headers['x-webhook-nonce'];
+
+  if (!signature || !timestamp || !nonce) {
+    return res.status(401).json({
+      error: 'Missing webhook signature',
+      message: 'x-webhook-signature, x-webhook-timestamp and x-webhook-nonce headers are required'
+    });
+  }
+
+  if (!/^[a-f0-9]{64}$/i.test(signature) || nonce.length > 200) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (Number.isNaN(age) || age > WEBHOOK_TOLERANCE_SECONDS) {
+    return res.status(401).json({ error: 'Webhook timestamp outside tolerance window' });
+  }
+
+  if (!req.rawBody) {
+    logger.error('❌ Raw body not captured - express.json must be configured with verify');
+    return res.status(500).json({ error: 'Webhook verification unavailable' });
+  }
+
+  try {
+    let organization;
+    try {
+      organization = await getOrganizationSecret(req);
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      logger.warn(`⚠️ Rejected webhook from IP ${req.ip}: ${error.message}`);
+      return res.status(401).json({ error: error.message });
+    }
+
+    // secret של organization מחליף את הגלובלי - WEBHOOK_SECRET לא מאשר בקשות עבורה
+    const { organizationId } = organization;
+    const secret = organization.secret || process.env.WEBHOOK_SECRET;
+
+    if (!secret) {
+      logger.error('❌ No webhook secret configured (WEBHOOK_SECRET or organizations.webhook_secret)');
+      return res.status(401).json({ error: 'Webhook secret not configured' });
+    }
+
+    const valid = safeCompare(signWebhookPayload(secret, timestamp, nonce, req.rawBody), signature);
+
+    if (!valid) {
+      logger.warn(`⚠️ Invalid webhook signature from IP: ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    if (!(await registerNonce(nonce, organizationId))) {
+      logger.warn(`⚠️ Replayed webhook nonce from IP: ${req.ip}`);
+      return res.status(409).json({ error: 'Webhook already processed' });
+    }
+
+    req.webhookOrganizationId = organizationId;
+    next();
+  } catch (error) {
+    logger.error('❌ Webhook signature validation failed:', error);
+    return res.status(500).json({ error: 'Webhook verification failed' });
+  }
+}
+
+/**
+ * אימות webhooks של ה-marketplace app (INSTALL / UNINSTALL)
+ * GHL חותם עם RSA-SHA256 על ה-raw body ושולח את החתימה ב-x-wh-signature (base64)
+ * המפתח הציבורי מה-docs של GHL מוגדר ב-GHL_APP_WEBHOOK_PUBLIC_KEY
  */
-export function validateWebhookSignature(req, res, next) {
-  const signature = req.headers['x-webhook-signature'];
-  const webhookSecret = process.env.WEBHOOK_SECRET;
+export function validateGHLAppWebhook(req, res, next) {
+  const publicKey = process.env.GHL_APP_WEBHOOK_PUBLIC_KEY?.replace(/\\n/g, '\n');
+  const signature = req.headers['x-wh-signature'];
 
-  if (!webhookSecret) {
-    logger.warn('⚠️ WEBHOOK_SECRET not configured');
-    return next();
+  if (!publicKey) {
+    logger.error('❌ GHL_APP_WEBHOOK_PUBLIC_KEY not configured');
+    return res.status(401).json({ error: 'Webhook verification not configured' });
   }
 
-  if (!signature) {
+  if (!signature || !req.rawBody) {
     return res.status(401).json({ error: 'Missing webhook signature' });
   }
 
-  // TODO: Implement actual signature verification
-  // const crypto = require('crypto');
-  // const hash = crypto.createHmac('sha256', webhookSecret).update(JSON.stringify(req.body)).digest('hex');
-  // if (hash !== signature) { return res.status(401).json({ error: 'Invalid signature' }); }
+  try {
+    const valid = crypto.verify(
+      'sha256',
+      req.rawBody,
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+
+    if (!valid) {
+      logger.warn(`⚠️ Invalid GHL app webhook signature from IP: ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
 
-  next();
+    next();
+  } catch (error) {
+    logger.error('❌ GHL app webhook verification failed:', error.message);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
 }
 
 /**
@@ -0,0 +1,86 @@
+import axios from 'axios';
+import pino from 'pino';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const FORWARD_TIMEOUT_MS = parseInt(process.env.SESSION_FORWARD_TIMEOUT_MS) || 30000;
+const FORWARDED_HEADER = 'x-forwarded-instance';
+
+// headers שעוברים ל-instance הבעלים (האימות מתבצע שם מחדש)
+const FORWARDED_REQUEST_HEADERS = [
+  'authorization',
+  'x-api-key',
+  'x-organization-id',
+  'content-type',
+  'content-length',
+  'accept'
+];
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'content-disposition', 'cache-control', 'x-qr-expires-at'];
+
+/**
+ * העברת בקשה ל-instance שמחזיק ב-session (multi-instance עם leases)
+ *
+ * - session פתוח כאן, או שאין לו בעלים חי - הבקשה מטופלת מקומית
+ * - אחרת הבקשה (כולל body, גם multipart) נשלחת לכתובת הפנימית של הבעלים והתשובה מוחזרת כמו שהיא
+ * - בקשה שכבר הועברה (x-forwarded-instance) לא מועברת שוב
+ * (נקרא מ-requireSessionAccess, אחרי בדיקת ה-organization)
+ */
+export async function forwardToSessionOwner(req, res, next) {
+  const { sessionManager } = req.app.locals;
+  const { leaseManager } = sessionManager;
+  const sessionId = req.params.session_id || req.body?.session_id;
+
+  if (!leaseManager || req.headers[FORWARDED_HEADER] || sessionManager.getSession(sessionId)) {
+    return next();
+  }
+
+  let owner;
+  try {
+    owner = await leaseManager.getOwner(sessionId);
+  } catch (error) {
+    logger.error(`❌ Failed to look up owner of session ${sessionId}:`, error);
+    return next();
+  }
+
+  if (!owner || owner.isLocal) {
+    return next();
+  }
+
+  if (!owner.url) {
+    return res.status(503).json({ error: 'Session is active on another instance that cannot be reached' });
+  }
+
+  const headers = { [FORWARDED_HEADER]: leaseManager.instanceId };
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+
+  // JSON כבר נקרא ע"י express.json (rawBody); multipart עדיין ב-stream
+  const hasBody = !['GET', 'HEAD'].includes(req.method);
+  const data = hasBody ? (req.rawBody ?? req) : undefined;
+
+  try {
+    logger.debug(`↪️ Forwarding ${req.method} ${req.originalUrl} to ${owner.instanceId}`);
+
+    const response = await axios({
+      method: req.method,
+      url: `${owner.url}${req.originalUrl}`,
+      headers,
+      data,
+      responseType: 'stream',
+      timeout: FORWARD_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+
+    res.status(response.status);
+    for (const name of FORWARDED_RESPONSE_HEADERS) {
+      if (response.headers[name]) res.set(name, response.headers[name]);
+    }
+    response.data.pipe(res);
+  } catch (error) {
+    logger.error(`❌ Failed to forward request for session ${sessionId} to ${owner.instanceId}:`, error.message);
+    res.status(502).json({ error: 'Failed to reach the instance that owns this session' });
+  }
+}
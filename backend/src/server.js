@@ -1,55 +1,173 @@
 import express from 'express';
 import http from 'http';
 import { Server as SocketIO } from 'socket.io';
+import { createAdapter } from '@socket.io/postgres-adapter';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import pino from 'pino';
 
 import SessionManager from './whatsapp/SessionManager.js';
-import { generateQRDataURL } from './whatsapp/QRGenerator.js';
+import SessionPersistence from './whatsapp/SessionPersistence.js';
+import SessionEventBus from './whatsapp/SessionEventBus.js';
+import GHLWebhookService from './services/GHLWebhookService.js';
+import GHLTokenManager from './services/GHLTokenManager.js';
+import InboundMessageService from './services/InboundMessageService.js';
+import ContactService from './services/ContactService.js';
+import MessageStatusService from './services/MessageStatusService.js';
+import MessageQueue from './services/MessageQueue.js';
+import BillingService from './services/BillingService.js';
+import QuotaService from './services/QuotaService.js';
+import UsageService from './services/UsageService.js';
+import AnalyticsService from './services/AnalyticsService.js';
+import SocketEventRelay, { ROOM_PERMISSIONS, organizationRoom, sessionRoom } from './services/SocketEventRelay.js';
+import { createMediaStorage } from './storage/MediaStorage.js';
 import pool from './config/database.js';
+import { authenticateUser, authenticateSocket, isAllowed } from './middleware/auth.js';
+import { corsOptions, validateSessionId } from './middleware/security.js';
 
 // Routes (we'll create these next)
 import sessionsRouter from './api/routes/sessions.js';
 import groupsRouter from './api/routes/groups.js';
 import messagesRouter from './api/routes/messages.js';
 import healthRouter from './api/routes/health.js';
+import mediaRouter from './api/routes/media.js';
+import ghlRouter from './api/routes/ghl.js';
+import apiKeysRouter from './api/routes/apiKeys.js';
+import membersRouter from './api/routes/members.js';
+import organizationRouter from './api/routes/organization.js';
+import billingRouter from './api/routes/billing.js';
+import analyticsRouter from './api/routes/analytics.js';
 
 dotenv.config();
 
 const app = express();
 const server = http.createServer(app);
 const io = new SocketIO(server, {
-  cors: {
-    origin: process.env.FRONTEND_URL || '*',
-    methods: ['GET', 'POST']
-  }
+  cors: corsOptions
 });
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
-const sessionManager = new SessionManager();
+const GHL_RESYNC_WINDOW_MS = 24 * 60 * 60 * 1000;
+const ghlTokenManager = new GHLTokenManager();
+const ghlWebhookService = new GHLWebhookService({ tokenManager: ghlTokenManager });
+const mediaStorage = createMediaStorage();
+const persistence = new SessionPersistence();
+const contactService = new ContactService({ ghlWebhookService });
+const inboundMessageService = new InboundMessageService({
+  persistence,
+  ghlWebhookService,
+  io,
+  mediaStorage,
+  contactService
+});
+const messageStatusService = new MessageStatusService({ persistence, ghlWebhookService, io });
+const sessionEvents = new SessionEventBus();
+const sessionManager = new SessionManager({ eventBus: sessionEvents });
+
+// multi-instance: אירועי Socket.IO עוברים בין ה-instances דרך Postgres (LISTEN/NOTIFY),
+// כך שלקוח שמחובר ל-instance אחד מקבל אירועים של sessions שפתוחים ב-instance אחר
+if (sessionManager.leaseManager) {
+  io.adapter(createAdapter(pool));
+}
+
+// כל ה-sessions (גם משוחזרים) מפרסמים ל-sessionEvents
+inboundMessageService.subscribe(sessionEvents);
+messageStatusService.subscribe(sessionEvents);
+new SocketEventRelay({ io }).subscribe(sessionEvents);
+
+const quotaService = new QuotaService({ persistence, io });
+const usageService = new UsageService();
+const messageQueue = new MessageQueue(sessionManager, {
+  // הודעות שהגיעו מ-GHL - מדווחים ל-GHL אם נשלחו או נכשלו
+  onSent: (item) => ghlWebhookService.reportQueueResult(item),
+  onFailed: (item, error) => ghlWebhookService.reportQueueResult(item, error)
+}, { quotaService });
+ghlWebhookService.setMessageQueue(messageQueue);
 
 // Middleware
-app.use(cors({ origin: process.env.FRONTEND_URL || '*' }));
-app.use(express.json());
+app.use(cors(corsOptions));
+// api_calls ב-usage_tracking (כל בקשה שאומתה מול organization)
+app.use(usageService.middleware());
+// rawBody נשמר לאימות חתימות של webhooks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Make sessionManager and io available to routes
 app.locals.sessionManager = sessionManager;
+app.locals.messageQueue = messageQueue;
+app.locals.mediaStorage = mediaStorage;
+app.locals.ghlWebhookService = ghlWebhookService;
+app.locals.ghlTokenManager = ghlTokenManager;
+app.locals.billingService = new BillingService();
+app.locals.quotaService = quotaService;
+app.locals.analyticsService = new AnalyticsService();
 app.locals.io = io;
 
 // Routes
 app.use('/api/health', healthRouter);
-app.use('/api/sessions', sessionsRouter);
-app.use('/api/groups', groupsRouter);
-app.use('/api/messages', messagesRouter);
+app.use('/api/sessions', authenticateUser, sessionsRouter);
+app.use('/api/groups', authenticateUser, groupsRouter);
+app.use('/api/messages', authenticateUser, messagesRouter);
+app.use('/api/api-keys', authenticateUser, apiKeysRouter);
+app.use('/api/members', membersRouter);
+app.use('/api/organization', authenticateUser, organizationRouter);
+app.use('/api/media', mediaRouter);
+app.use('/api/ghl', ghlRouter);
+app.use('/api/billing', billingRouter);
+app.use('/api/analytics', authenticateUser, analyticsRouter);
+
+// Socket.IO - אותו אימות כמו ב-REST (JWT או API key)
+io.use(authenticateSocket);
 
-// Socket.IO
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
+  const { organization } = socket.data;
+  logger.info(`Client connected: ${socket.id} (org: ${organization.id})`);
+
+  // permissions של ה-socket שיש להם rooms (QR / הודעות רק למי שמורשה)
+  const roomPermissions = ROOM_PERMISSIONS.filter(permission => isAllowed(socket.data, permission));
+
+  // rooms של ה-organization - אירועים מכל ה-sessions שלה
+  socket.join(roomPermissions.map(permission => organizationRoom(organization.id, permission)));
+
+  // הצטרפות ל-rooms של session - רק sessions של ה-organization
+  socket.on('join_session', async (sessionId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
 
-  socket.on('join_session', (sessionId) => {
-    socket.join(sessionId);
-    logger.info(`Socket ${socket.id} joined session ${sessionId}`);
+    if (!isAllowed(socket.data, 'sessions:read')) {
+      return reply({ ok: false, error: 'Insufficient permissions' });
+    }
+
+    if (!validateSessionId(sessionId)) {
+      return reply({ ok: false, error: 'Invalid session_id' });
+    }
+
+    try {
+      const organizationId = await sessionManager.getSessionOrganizationId(sessionId);
+      if (organizationId !== organization.id) {
+        logger.warn(`⚠️ Socket ${socket.id} (org ${organization.id}) denied access to session ${sessionId}`);
+        return reply({ ok: false, error: 'Session not found' });
+      }
+
+      socket.join(roomPermissions.map(permission => sessionRoom(sessionId, permission)));
+      logger.info(`Socket ${socket.id} joined session ${sessionId}`);
+      reply({ ok: true });
+    } catch (error) {
+      logger.error(`❌ join_session failed for ${sessionId}:`, error);
+      reply({ ok: false, error: 'Failed to join session' });
+    }
+  });
+
+  socket.on('leave_session', (sessionId) => {
+    if (!validateSessionId(sessionId)) {
+      return;
+    }
+
+    for (const permission of ROOM_PERMISSIONS) {
+      socket.leave(sessionRoom(sessionId, permission));
+    }
   });
 
   socket.on('disconnect', () => {
@@ -70,6 +188,78 @@ server.listen(PORT, async () => {
   } catch (error) {
     logger.error(`❌ Failed to restore sessions:`, error);
   }
+
+  // המשך שליחת הודעות שנשארו בתור לפני ה-restart
+  try {
+    await messageQueue.start();
+    logger.info(`✅ Message queue started`);
+  } catch (error) {
+    logger.error(`❌ Failed to start message queue:`, error);
+  }
+
+  usageService.start();
+
+  // הודעות נכנסות שה-retry שלהן ל-GHL בוטל ב-shutdown הקודם (רק של ה-sessions שנפתחו כאן)
+  ghlWebhookService.syncPendingMessages({
+    sessionIds: sessionManager.getLocalSessionIds(),
+    since: new Date(Date.now() - GHL_RESYNC_WINDOW_MS)
+  });
 });
 
-export { io, sessionManager };
+// Graceful shutdown (SIGTERM ב-deploy של Railway)
+// 1. הפסקת קבלת בקשות ושליחות חדשות, והמתנה לשליחות שכבר התחילו
+// 2. ביטול retries ל-GHL (ההודעות נשארות לא מסונכרנות ונשלחות בעלייה הבאה)
+// 3. flush של ה-creds וסגירת ה-sockets בלי logout
+// 4. שחרור ה-leases, כך ש-instance אחר לוקח את ה-sessions מיד
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+const SHUTDOWN_CLOSE_RESERVE_MS = 5000; // זמן ל-flush / סגירה אחרי ה-drain של התור
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  app.locals.shuttingDown = true;
+
+  logger.info(`🛑 ${signal} received - shutting down (deadline ${SHUTDOWN_TIMEOUT_MS}ms)`);
+
+  // אם משהו נתקע - יציאה בכל מקרה לפני ה-SIGKILL
+  setTimeout(() => {
+    logger.error('❌ Shutdown deadline exceeded - exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  server.close();
+  // ה-leases ממשיכים להתחדש עד שה-sockets נסגרים - אחרת הם יכולים לפוג באמצע ה-drain,
+  // ו-instance אחר יפתח socket שני עם אותם creds
+  sessionManager.leaseManager?.stopClaiming();
+
+  const drained = await messageQueue.drain(Math.max(SHUTDOWN_TIMEOUT_MS - SHUTDOWN_CLOSE_RESERVE_MS, 0));
+  if (!drained) {
+    logger.warn('⚠️ Some messages were still sending - they will be re-queued on restart');
+  }
+
+  ghlWebhookService.shutdown();
+  usageService.stop();
+  await usageService.flush().catch((error) => {
+    logger.error('❌ Failed to flush usage:', error);
+  });
+
+  try {
+    await sessionManager.shutdown();
+    sessionManager.leaseManager?.stop();
+    await sessionManager.leaseManager?.releaseAll();
+  } catch (error) {
+    logger.error('❌ Failed to close sessions cleanly:', error);
+  }
+
+  io.close();
+  await pool.end().catch(() => {});
+
+  logger.info('👋 Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+export { io, sessionManager, messageQueue };
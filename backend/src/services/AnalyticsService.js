@@ -0,0 +1,250 @@
+import pool from '../config/database.js';
+
+/**
+ * תנאי ה-WHERE המשותף של כל השאילתות: organization, טווח תאריכים ו-session (אופציונלי)
+ * $1 organization_id, $2 from, $3 to, $4 session_id (TEXT)
+ */
+const MESSAGE_FILTER = `
+  m.organization_id = $1
+  AND m.timestamp >= $2
+  AND m.timestamp < $3
+  AND ($4::text IS NULL OR m.session_id = (SELECT id FROM whatsapp_sessions WHERE session_id = $4))`;
+
+/**
+ * Analytics Service - דוחות על messages, webhook_logs ו-usage_tracking
+ *
+ * כל השאילתות מקבלות { from, to, sessionId }: from כולל, to לא כולל, sessionId = whatsapp_sessions.session_id
+ */
+class AnalyticsService {
+  /**
+   * @param {string} organizationId
+   * @param {object} filters - { from, to, sessionId }
+   * @returns {Array} הפרמטרים של MESSAGE_FILTER
+   */
+  filterParams(organizationId, { from, to, sessionId = null }) {
+    return [organizationId, from, to, sessionId];
+  }
+
+  /**
+   * הודעות לפי יום ולפי session
+   * @param {string} organizationId
+   * @param {object} filters - { from, to, sessionId, timezone }
+   * @returns {Promise<Array>} [{ date, session_id, inbound, outbound, total }]
+   */
+  async getMessagesPerDay(organizationId, filters) {
+    const { rows } = await pool.query(
+      `SELECT TO_CHAR(DATE_TRUNC('day', m.timestamp AT TIME ZONE $5), 'YYYY-MM-DD') AS date,
+              s.session_id,
+              COUNT(*) FILTER (WHERE m.direction = 'inbound')::int AS inbound,
+              COUNT(*) FILTER (WHERE m.direction = 'outbound')::int AS outbound,
+              COUNT(*)::int AS total
+       FROM messages m
+       JOIN whatsapp_sessions s ON s.id = m.session_id
+       WHERE ${MESSAGE_FILTER}
+       GROUP BY 1, s.session_id
+       ORDER BY 1, s.session_id`,
+      [...this.filterParams(organizationId, filters), filters.timezone]
+    );
+    return rows;
+  }
+
+  /**
+   * חלוקה ל-inbound / outbound, וגם לפי סוג הודעה
+   * @param {string} organizationId
+   * @param {object} filters
+   * @returns {Promise<object>} { inbound, outbound, total, by_type: { text: { inbound, outbound } } }
+   */
+  async getDirectionSplit(organizationId, filters) {
+    const { rows } = await pool.query(
+      `SELECT m.message_type,
+              COUNT(*) FILTER (WHERE m.direction = 'inbound')::int AS inbound,
+              COUNT(*) FILTER (WHERE m.direction = 'outbound')::int AS outbound
+       FROM messages m
+       WHERE ${MESSAGE_FILTER}
+       GROUP BY m.message_type`,
+      this.filterParams(organizationId, filters)
+    );
+
+    const split = { inbound: 0, outbound: 0, total: 0, by_type: {} };
+    for (const row of rows) {
+      split.inbound += row.inbound;
+      split.outbound += row.outbound;
+      split.by_type[row.message_type] = { inbound: row.inbound, outbound: row.outbound };
+    }
+    split.total = split.inbound + split.outbound;
+
+    return split;
+  }
+
+  /**
+   * הצלחת הסנכרון ל-GHL: הודעות נכנסות שסונכרנו, וניסיונות webhook שהצליחו (webhook_logs)
+   * @param {string} organizationId
+   * @param {object} filters
+   * @returns {Promise<object>}
+   */
+  async getGHLSyncStats(organizationId, filters) {
+    const params = this.filterParams(organizationId, filters);
+
+    const { rows: [messages] } = await pool.query(
+      `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE m.synced_to_ghl)::int AS synced,
+              COUNT(*) FILTER (WHERE NOT m.synced_to_ghl AND m.status = 'failed')::int AS failed
+       FROM messages m
+       WHERE ${MESSAGE_FILTER}
+       AND m.direction = 'inbound'`,
+      params
+    );
+
+    const { rows: [attempts] } = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE w.status = 'success')::int AS success,
+              COUNT(*) FILTER (WHERE w.status = 'failed')::int AS failed
+       FROM webhook_logs w
+       LEFT JOIN messages m ON m.id = w.message_id
+       WHERE w.organization_id = $1
+       AND w.created_at >= $2
+       AND w.created_at < $3
+       AND ($4::text IS NULL OR m.session_id = (SELECT id FROM whatsapp_sessions WHERE session_id = $4))`,
+      params
+    );
+
+    const attemptCount = attempts.success + attempts.failed;
+
+    return {
+      messages: {
+        ...messages,
+        pending: messages.total - messages.synced - messages.failed
+      },
+      sync_rate: messages.total > 0 ? messages.synced / messages.total : null,
+      attempts: {
+        ...attempts,
+        success_rate: attemptCount > 0 ? attempts.success / attemptCount : null
+      }
+    };
+  }
+
+  /**
+   * זמן תגובה ראשונה: לכל הודעה נכנסת שפותחת המתנה (הראשונה מאז התשובה האחרונה לאותו איש קשר)
+   * - הזמן עד ההודעה היוצאת הבאה לאותו איש קשר באותו session. צ'אטים פרטיים בלבד
+   * @param {string} organizationId
+   * @param {object} filters
+   * @returns {Promise<object>} { conversations, answered, unanswered, average_seconds, median_seconds }
+   */
+  async getFirstResponseTime(organizationId, filters) {
+    const { rows: [stats] } = await pool.query(
+      `WITH thread AS (
+         SELECT m.session_id, m.direction, m.timestamp,
+                CASE WHEN m.direction = 'inbound' THEN m.from_number ELSE m.to_number END AS contact
+         FROM messages m
+         WHERE ${MESSAGE_FILTER}
+         AND NOT m.is_group_message
+       ),
+       ordered AS (
+         SELECT thread.*,
+                LAG(direction) OVER conversation AS previous_direction,
+                -- ההודעה היוצאת הראשונה אחרי ההודעה הזו (GROUPS מדלג על הודעות עם אותו timestamp)
+                MIN(timestamp) FILTER (WHERE direction = 'outbound') OVER (
+                  conversation GROUPS BETWEEN 1 FOLLOWING AND UNBOUNDED FOLLOWING
+                ) AS next_outbound_at
+         FROM thread
+         WINDOW conversation AS (PARTITION BY session_id, contact ORDER BY timestamp)
+       ),
+       waits AS (
+         SELECT timestamp AS asked_at, next_outbound_at AS answered_at
+         FROM ordered
+         WHERE direction = 'inbound'
+         AND (previous_direction IS NULL OR previous_direction = 'outbound')
+       )
+       SELECT COUNT(*)::int AS conversations,
+              COUNT(answered_at)::int AS answered,
+              AVG(EXTRACT(EPOCH FROM answered_at - asked_at)) AS average_seconds,
+              PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM answered_at - asked_at)) AS median_seconds
+       FROM waits`,
+      this.filterParams(organizationId, filters)
+    );
+
+    return {
+      conversations: stats.conversations,
+      answered: stats.answered,
+      unanswered: stats.conversations - stats.answered,
+      average_seconds: stats.average_seconds === null ? null : Math.round(stats.average_seconds),
+      median_seconds: stats.median_seconds === null ? null : Math.round(stats.median_seconds)
+    };
+  }
+
+  /**
+   * השעות העמוסות (לפי אזור הזמן של הלקוח), מהעמוסה ביותר
+   * @param {string} organizationId
+   * @param {object} filters - { from, to, sessionId, timezone }
+   * @returns {Promise<Array>} [{ hour, inbound, outbound, total }]
+   */
+  async getBusiestHours(organizationId, filters) {
+    const { rows } = await pool.query(
+      `SELECT EXTRACT(HOUR FROM m.timestamp AT TIME ZONE $5)::int AS hour,
+              COUNT(*) FILTER (WHERE m.direction = 'inbound')::int AS inbound,
+              COUNT(*) FILTER (WHERE m.direction = 'outbound')::int AS outbound,
+              COUNT(*)::int AS total
+       FROM messages m
+       WHERE ${MESSAGE_FILTER}
+       GROUP BY 1
+       ORDER BY total DESC, hour ASC`,
+      [...this.filterParams(organizationId, filters), filters.timezone]
+    );
+    return rows;
+  }
+
+  /**
+   * usage_tracking של החודשים שבטווח (הודעות, sessions פעילים, API calls) מול מגבלות ה-plan
+   * @param {object} organization
+   * @param {object} filters - { from, to }
+   * @returns {Promise<object>} { limits, periods }
+   */
+  async getUsage(organization, { from, to }) {
+    const { rows } = await pool.query(
+      `SELECT TO_CHAR(period_start, 'YYYY-MM-DD') AS period_start,
+              TO_CHAR(period_end, 'YYYY-MM-DD') AS period_end,
+              messages_sent, messages_received, active_sessions, api_calls
+       FROM usage_tracking
+       WHERE organization_id = $1
+       AND period_end >= $2::date
+       AND period_start < $3
+       ORDER BY period_start`,
+      [organization.id, from, to]
+    );
+
+    return {
+      limits: {
+        max_accounts: organization.max_accounts,
+        max_messages_per_month: organization.max_messages_per_month
+      },
+      periods: rows
+    };
+  }
+
+  /**
+   * הדוח החודשי - כל המדדים בבקשה אחת
+   * @param {object} organization
+   * @param {object} filters
+   * @returns {Promise<object>}
+   */
+  async getReport(organization, filters) {
+    const [messagesPerDay, direction, ghlSync, firstResponse, busiestHours, usage] = await Promise.all([
+      this.getMessagesPerDay(organization.id, filters),
+      this.getDirectionSplit(organization.id, filters),
+      this.getGHLSyncStats(organization.id, filters),
+      this.getFirstResponseTime(organization.id, filters),
+      this.getBusiestHours(organization.id, filters),
+      this.getUsage(organization, filters)
+    ]);
+
+    return {
+      messages_per_day: messagesPerDay,
+      direction,
+      ghl_sync: ghlSync,
+      first_response: firstResponse,
+      busiest_hours: busiestHours,
+      usage
+    };
+  }
+}
+
+export default AnalyticsService;
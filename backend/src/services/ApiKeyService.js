@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import pino from 'pino';
+import pool from '../config/database.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+export const API_KEY_PREFIX = 'wgk_';
+
+export const API_KEY_SCOPES = [
+  'sessions:read',
+  'sessions:manage',
+  'messages:read',
+  'messages:send',
+  'groups:read',
+  'groups:manage'
+];
+
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000; // עדכון last_used_at לכל היותר פעם בדקה
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * API Key Service - מפתחות API של organization (גישה שרת-לשרת, בלי Supabase JWT)
+ *
+ * - ה-key נוצר אקראית ומוחזר פעם אחת בלבד; ב-DB נשמר SHA-256 שלו
+ * - לכל key יש scopes (למשל messages:send) שנבדקים ב-requirePermission
+ * - last_used_at מתעדכן בשימוש, revoke מסמן revoked_at
+ */
+class ApiKeyService {
+  /**
+   * @param {string} key
+   * @returns {string} hex
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * @param {string} token
+   * @returns {boolean} האם ה-token נראה כמו API key (ולא JWT)
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * תאריך התפוגה של key חדש: ISO 8601 (2025-12-31 או 2025-12-31T23:59:00Z) ובעתיד
+   * @param {string|null} expiresAt
+   * @returns {Date|null}
+   */
+  parseExpiresAt(expiresAt) {
+    if (expiresAt === null || expiresAt === undefined || expiresAt === '') {
+      return null;
+    }
+
+    const date = typeof expiresAt === 'string' && ISO_DATE_PATTERN.test(expiresAt) ? new Date(expiresAt) : null;
+
+    // Date מגלגל תאריכים שלא קיימים (2025-02-30 -> 2025-03-02)
+    const [year, month, day] = String(expiresAt).slice(0, 10).split('-').map(Number);
+    const calendarDate = new Date(Date.UTC(year, month - 1, day));
+    const realDate = calendarDate.getUTCMonth() === month - 1 && calendarDate.getUTCDate() === day;
+
+    if (!date || !realDate || Number.isNaN(date.getTime()) || date <= new Date()) {
+      const error = new Error('expires_at must be an ISO 8601 date in the future (e.g. 2025-12-31T23:59:00Z)');
+      error.status = 400;
+      throw error;
+    }
+
+    return date;
+  }
+
+  /**
+   * יצירת API key
+   * @param {string} organizationId
+   * @param {object} options - { name, scopes, createdBy, expiresAt }
+   * @returns {Promise<object>} { id, name, key, keyPrefix, scopes, expiresAt, createdAt } - key מוחזר רק כאן
+   */
+  async createKey(organizationId, { name, scopes = [], createdBy = null, expiresAt = null }) {
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (!name || scopes.length === 0 || invalid.length > 0) {
+      const error = new Error(
+        invalid.length > 0
+          ? `Unknown scopes: ${invalid.join(', ')}`
+          : 'name and at least one scope are required'
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    const expiresAtDate = this.parseExpiresAt(expiresAt);
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const keyPrefix = key.slice(0, API_KEY_PREFIX.length + 6);
+
+    const { rows } = await pool.query(
+      `INSERT INTO api_keys (organization_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, name, key_prefix, scopes, expires_at, created_at`,
+      [organizationId, name, keyPrefix, this.hashKey(key), scopes, createdBy, expiresAtDate]
+    );
+
+    logger.info(`🔑 API key ${rows[0].id} created for org ${organizationId}`);
+
+    return {
+      id: rows[0].id,
+      name: rows[0].name,
+      key,
+      keyPrefix: rows[0].key_prefix,
+      scopes: rows[0].scopes,
+      expiresAt: rows[0].expires_at,
+      createdAt: rows[0].created_at
+    };
+  }
+
+  /**
+   * רשימת ה-keys של organization (בלי ה-hash)
+   * @param {string} organizationId
+   * @returns {Promise<Array>}
+   */
+  async listKeys(organizationId) {
+    const { rows } = await pool.query(
+      `SELECT id, name, key_prefix, scopes, created_by, last_used_at, expires_at, revoked_at, created_at
+       FROM api_keys
+       WHERE organization_id = $1
+       ORDER BY created_at DESC`,
+      [organizationId]
+    );
+    return rows;
+  }
+
+  /**
+   * ביטול key
+   * @param {string} organizationId
+   * @param {string} keyId
+   * @returns {Promise<boolean>} false אם לא נמצא (או כבר בוטל)
+   */
+  async revokeKey(organizationId, keyId) {
+    const { rowCount } = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND organization_id = $2 AND revoked_at IS NULL`,
+      [keyId, organizationId]
+    );
+
+    if (rowCount > 0) {
+      logger.info(`🗑️ API key ${keyId} revoked for org ${organizationId}`);
+    }
+    return rowCount > 0;
+  }
+
+  /**
+   * אימות key שהגיע בבקשה
+   * @param {string} key
+   * @returns {Promise<object|null>} { apiKey: { id, name, scopes }, organization } או null אם לא תקף
+   */
+  async verifyKey(key) {
+    const { rows } = await pool.query(
+      `SELECT k.id AS api_key_id, k.name AS api_key_name, k.scopes, k.last_used_at, o.*
+       FROM api_keys k
+       JOIN organizations o ON o.id = k.organization_id
+       WHERE k.key_hash = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+      [this.hashKey(key)]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const { api_key_id: id, api_key_name: name, scopes, last_used_at: lastUsedAt, ...organization } = rows[0];
+
+    if (!lastUsedAt || Date.now() - new Date(lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL) {
+      pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]).catch((error) => {
+        logger.warn(`⚠️ Failed to update last_used_at for API key ${id}: ${error.message}`);
+      });
+    }
+
+    return { apiKey: { id, name, scopes }, organization };
+  }
+}
+
+export default ApiKeyService;
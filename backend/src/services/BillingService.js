@@ -0,0 +1,371 @@
+import Stripe from 'stripe';
+import pino from 'pino';
+import pool from '../config/database.js';
+import { PLANS, PAID_TIERS, tierForPrice } from '../config/plans.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+// סטטוסים של subscription שנותנים את המגבלות של ה-tier ששולם
+const ACTIVE_STATUSES = ['active', 'trialing'];
+
+/**
+ * Billing Service - מנויים ב-Stripe
+ *
+ * - checkout: Stripe Checkout ל-tier בתשלום (organization בלי מנוי פעיל)
+ * - portal: Stripe Customer Portal לשינוי plan, אמצעי תשלום וביטול
+ * - webhook: כל שינוי במנוי מעדכן את subscription_tier, max_accounts ו-max_messages_per_month.
+ *   מנוי שבוטל, או שהתשלום שלו נכשל (past_due / unpaid), חוזר למגבלות של free.
+ *
+ * ה-webhook עובד רק מה-payload של ה-event (בלי קריאות ל-Stripe API), כך שאפשר
+ * לבדוק אותו לוקלית עם events שנחתמו ב-STRIPE_WEBHOOK_SECRET.
+ * events שמגיעים באיחור (created ישן מהעדכון האחרון) לא דורסים מצב חדש יותר.
+ */
+class BillingService {
+  constructor() {
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    this.frontendUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+    this.stripe = this.secretKey ? new Stripe(this.secretKey) : null;
+  }
+
+  /**
+   * @returns {boolean} האם Stripe מוגדר
+   */
+  isConfigured() {
+    return Boolean(this.stripe);
+  }
+
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      const error = new Error('Billing is not configured');
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * מצב המנוי של organization וה-plans הזמינים
+   * @param {object} organization - שורת organizations
+   * @returns {object}
+   */
+  getBillingStatus(organization) {
+    return {
+      tier: organization.subscription_tier,
+      status: organization.subscription_status || null,
+      limits: {
+        max_accounts: organization.max_accounts,
+        max_messages_per_month: organization.max_messages_per_month
+      },
+      has_billing_account: Boolean(organization.stripe_customer_id),
+      plans: Object.entries(PLANS).map(([tier, plan]) => ({
+        tier,
+        name: plan.name,
+        price: plan.price,
+        max_accounts: plan.max_accounts,
+        max_messages_per_month: plan.max_messages_per_month,
+        available: tier === 'free' || Boolean(plan.stripePriceId)
+      }))
+    };
+  }
+
+  /**
+   * Stripe customer של ה-organization (נוצר בפעם הראשונה)
+   * @param {object} organization
+   * @param {object} user - המשתמש שמבצע את הרכישה (לאימייל)
+   * @returns {Promise<string>} customer id
+   */
+  async getOrCreateCustomer(organization, user) {
+    if (organization.stripe_customer_id) {
+      return organization.stripe_customer_id;
+    }
+
+    const customer = await this.stripe.customers.create({
+      name: organization.name,
+      email: user?.email || undefined,
+      metadata: { organization_id: organization.id }
+    });
+
+    // בקשה מקבילה שכבר יצרה customer - ממשיכים עם הקיים
+    const { rows } = await pool.query(
+      `UPDATE organizations
+       SET stripe_customer_id = COALESCE(stripe_customer_id, $1), updated_at = NOW()
+       WHERE id = $2
+       RETURNING stripe_customer_id`,
+      [customer.id, organization.id]
+    );
+
+    logger.info(`💳 Created Stripe customer ${customer.id} for org ${organization.id}`);
+    return rows[0].stripe_customer_id;
+  }
+
+  /**
+   * יצירת Checkout Session למנוי חדש
+   * @param {object} organization
+   * @param {string} tier - starter | pro | enterprise
+   * @param {object} user
+   * @returns {Promise<string>} הקישור ל-Checkout
+   */
+  async createCheckoutSession(organization, tier, user) {
+    this.assertConfigured();
+
+    if (!PAID_TIERS.includes(tier) || !PLANS[tier].stripePriceId) {
+      const error = new Error(`Invalid tier. Must be one of: ${PAID_TIERS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    // שינוי plan של מנוי קיים נעשה ב-portal, כדי לא לחייב פעמיים
+    if (organization.stripe_subscription_id && ACTIVE_STATUSES.includes(organization.subscription_status)) {
+      const error = new Error('Organization already has an active subscription. Use the billing portal to change plans');
+      error.status = 409;
+      throw error;
+    }
+
+    const customerId = await this.getOrCreateCustomer(organization, user);
+
+    const session = await this.stripe.checkout.sessions.create({
+      mode: 'subscription',
+      customer: customerId,
+      line_items: [{ price: PLANS[tier].stripePriceId, quantity: 1 }],
+      client_reference_id: organization.id,
+      metadata: { organization_id: organization.id, tier },
+      subscription_data: { metadata: { organization_id: organization.id } },
+      success_url: `${this.frontendUrl}/billing?checkout=success`,
+      cancel_url: `${this.frontendUrl}/billing?checkout=cancelled`
+    });
+
+    logger.info(`💳 Checkout session created for org ${organization.id} (${tier})`);
+    return session.url;
+  }
+
+  /**
+   * קישור ל-Customer Portal (שינוי plan, אמצעי תשלום, חשבוניות, ביטול)
+   * @param {object} organization
+   * @returns {Promise<string>}
+   */
+  async createPortalSession(organization) {
+    this.assertConfigured();
+
+    if (!organization.stripe_customer_id) {
+      const error = new Error('Organization has no billing account yet. Start a checkout first');
+      error.status = 409;
+      throw error;
+    }
+
+    const session = await this.stripe.billingPortal.sessions.create({
+      customer: organization.stripe_customer_id,
+      return_url: `${this.frontendUrl}/billing`
+    });
+
+    return session.url;
+  }
+
+  /**
+   * אימות החתימה של webhook (stripe-signature על ה-raw body)
+   * @param {Buffer} rawBody
+   * @param {string} signature
+   * @returns {object} Stripe event
+   */
+  constructEvent(rawBody, signature) {
+    if (!this.webhookSecret) {
+      const error = new Error('Stripe webhook secret not configured');
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      return Stripe.webhooks.constructEvent(rawBody, signature, this.webhookSecret);
+    } catch (err) {
+      const error = new Error(`Invalid Stripe signature: ${err.message}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * טיפול ב-event מאומת
+   * @param {object} event
+   * @returns {Promise<object>} { handled, organizationId, tier } או { ignored }
+   */
+  async handleEvent(event) {
+    logger.info(`💳 Stripe event ${event.type} (${event.id})`);
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        return this.handleCheckoutCompleted(event);
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        return this.handleSubscriptionChange(event);
+      case 'invoice.payment_failed':
+        return this.handlePaymentFailed(event);
+      default:
+        return { ignored: true, type: event.type };
+    }
+  }
+
+  /**
+   * Checkout הסתיים - קישור ה-customer וה-subscription ל-organization
+   * ה-tier ניתן רק כשהתשלום עבר (payment_status = paid). תשלום מאוחר (למשל הוראת קבע)
+   * מגיע אחר כך ב-checkout.session.async_payment_succeeded, ו-trial ב-customer.subscription.created
+   * @param {object} event
+   */
+  async handleCheckoutCompleted(event) {
+    const session = event.data.object;
+    const organizationId = session.client_reference_id || session.metadata?.organization_id;
+    const tier = session.metadata?.tier;
+
+    if (session.mode !== 'subscription' || !organizationId || !PAID_TIERS.includes(tier)) {
+      return { ignored: true, type: event.type };
+    }
+
+    if (session.payment_status !== 'paid') {
+      logger.info(`⏳ Checkout ${session.id} for org ${organizationId} not paid yet (${session.payment_status})`);
+      return { ignored: true, type: event.type, payment_status: session.payment_status };
+    }
+
+    return this.applyPlan(organizationId, tier, event, {
+      status: 'active',
+      customerId: session.customer,
+      subscriptionId: session.subscription
+    });
+  }
+
+  /**
+   * מנוי נוצר / עודכן (upgrade, downgrade, past_due, ביטול בסוף התקופה) / נמחק
+   * @param {object} event
+   */
+  async handleSubscriptionChange(event) {
+    const subscription = event.data.object;
+    const organizationId = await this.resolveOrganization(subscription.metadata?.organization_id, subscription.customer);
+
+    if (!organizationId) {
+      logger.warn(`⚠️ No organization for Stripe subscription ${subscription.id}`);
+      return { ignored: true, type: event.type };
+    }
+
+    const deleted = event.type === 'customer.subscription.deleted';
+    const active = !deleted && ACTIVE_STATUSES.includes(subscription.status);
+    const priceId = subscription.items?.data?.[0]?.price?.id;
+    const tier = active ? tierForPrice(priceId) : 'free';
+
+    if (!tier) {
+      logger.error(`❌ Stripe price ${priceId} is not mapped to a tier (STRIPE_PRICE_ID_*)`);
+      return { ignored: true, type: event.type };
+    }
+
+    return this.applyPlan(organizationId, tier, event, {
+      status: deleted ? 'canceled' : subscription.status,
+      customerId: subscription.customer,
+      subscriptionId: deleted ? null : subscription.id,
+      // מנוי ישן שמסתיים לא מוריד organization שכבר עברה למנוי אחר
+      onlySubscriptionId: active ? null : subscription.id
+    });
+  }
+
+  /**
+   * תשלום נכשל - המגבלות חוזרות ל-free עד שהתשלום מצליח (customer.subscription.updated -> active)
+   * @param {object} event
+   */
+  async handlePaymentFailed(event) {
+    const invoice = event.data.object;
+    const subscriptionId = invoice.subscription
+      || invoice.parent?.subscription_details?.subscription
+      || null;
+
+    if (!subscriptionId) {
+      return { ignored: true, type: event.type };
+    }
+
+    const organizationId = await this.resolveOrganization(
+      invoice.subscription_details?.metadata?.organization_id
+        || invoice.parent?.subscription_details?.metadata?.organization_id,
+      invoice.customer
+    );
+
+    if (!organizationId) {
+      logger.warn(`⚠️ No organization for failed invoice ${invoice.id}`);
+      return { ignored: true, type: event.type };
+    }
+
+    logger.warn(`⚠️ Payment failed for org ${organizationId} - limiting to free plan`);
+
+    return this.applyPlan(organizationId, 'free', event, {
+      status: 'past_due',
+      customerId: invoice.customer,
+      subscriptionId,
+      onlySubscriptionId: subscriptionId
+    });
+  }
+
+  /**
+   * organization_id מה-metadata, או לפי ה-Stripe customer
+   * @param {string} organizationId
+   * @param {string} customerId
+   * @returns {Promise<string|null>}
+   */
+  async resolveOrganization(organizationId, customerId) {
+    if (organizationId) {
+      return organizationId;
+    }
+    if (!customerId) {
+      return null;
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id FROM organizations WHERE stripe_customer_id = $1',
+      [customerId]
+    );
+    return rows[0]?.id || null;
+  }
+
+  /**
+   * עדכון ה-tier והמגבלות של organization
+   * @param {string} organizationId
+   * @param {string} tier
+   * @param {object} event - ה-event שגרם לעדכון (event.created מונע דריסה ע"י events ישנים)
+   * @param {object} details - { status, customerId, subscriptionId, onlySubscriptionId }
+   *   onlySubscriptionId: מעדכן רק אם זה המנוי הנוכחי של ה-organization
+   * @returns {Promise<object>}
+   */
+  async applyPlan(organizationId, tier, event, { status, customerId, subscriptionId, onlySubscriptionId = null }) {
+    const plan = PLANS[tier];
+
+    const { rowCount } = await pool.query(
+      `UPDATE organizations
+       SET subscription_tier = $2,
+           max_accounts = $3,
+           max_messages_per_month = $4,
+           subscription_status = $5,
+           stripe_customer_id = COALESCE($6, stripe_customer_id),
+           stripe_subscription_id = $7,
+           subscription_updated_at = to_timestamp($8),
+           updated_at = NOW()
+       WHERE id = $1
+       AND (subscription_updated_at IS NULL OR subscription_updated_at <= to_timestamp($8))
+       AND ($9::text IS NULL OR stripe_subscription_id IS NULL OR stripe_subscription_id = $9)`,
+      [
+        organizationId,
+        tier,
+        plan.max_accounts,
+        plan.max_messages_per_month,
+        status,
+        customerId || null,
+        subscriptionId || null,
+        event.created,
+        onlySubscriptionId
+      ]
+    );
+
+    if (rowCount === 0) {
+      logger.info(`⏭️ Skipped stale Stripe event ${event.id} for org ${organizationId}`);
+      return { handled: false, stale: true, organizationId };
+    }
+
+    logger.info(`✅ Org ${organizationId} is now on ${tier} (${status})`);
+    return { handled: true, organizationId, tier, status };
+  }
+}
+
+export default BillingService;
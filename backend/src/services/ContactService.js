@@ -0,0 +1,170 @@
+import pino from 'pino';
+import pool from '../config/database.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Contact Service - cache מקומי של contacts לכל organization
+ *
+ * - contact נשמר לפי מספר טלפון מנורמל (ספרות בלבד) עם pushName, תמונת פרופיל ו-about
+ * - first_seen_at / last_seen_at מתעדכנים בכל הודעה נכנסת
+ * - בהודעה הראשונה ממספר לא מוכר נוצר / מתעדכן contact ב-GHL (upsert),
+ *   וה-ghl_contact_id נשמר - הודעות הבאות משתמשות בו בלי לחפש שוב ב-GHL
+ * - אם ה-upsert ב-GHL נכשל, ההודעה הבאה תנסה שוב (ghl_contact_id עדיין ריק)
+ */
+class ContactService {
+  /**
+   * @param {object} deps
+   * @param {GHLWebhookService} deps.ghlWebhookService
+   */
+  constructor({ ghlWebhookService }) {
+    this.ghlWebhookService = ghlWebhookService;
+    this.pendingGHLSyncs = new Map(); // contact id -> Promise<string|null>
+  }
+
+  /**
+   * נרמול מספר טלפון - ספרות בלבד
+   * @param {string} phone - מספר, E.164 או JID
+   * @returns {string}
+   */
+  normalizePhone(phone) {
+    return String(phone || '').split('@')[0].split(':')[0].replace(/\D/g, '');
+  }
+
+  /**
+   * יצירה / עדכון של contact מקומי
+   * @param {string} organizationId
+   * @param {object} data - { phone, jid, pushName, seenAt }
+   * @returns {Promise<object>} שורת ה-contact + isNew
+   */
+  async touchContact(organizationId, { phone, jid = null, pushName = null, seenAt = new Date() }) {
+    const { rows } = await pool.query(
+      `INSERT INTO contacts (organization_id, phone, jid, push_name, first_seen_at, last_seen_at)
+       VALUES ($1, $2, $3, $4, $5, $5)
+       ON CONFLICT (organization_id, phone)
+       DO UPDATE SET
+         jid = COALESCE(EXCLUDED.jid, contacts.jid),
+         push_name = COALESCE(EXCLUDED.push_name, contacts.push_name),
+         first_seen_at = LEAST(contacts.first_seen_at, EXCLUDED.first_seen_at),
+         last_seen_at = GREATEST(contacts.last_seen_at, EXCLUDED.last_seen_at)
+       RETURNING *, (xmax = 0) AS is_new`,
+      [organizationId, this.normalizePhone(phone), jid, pushName, seenAt]
+    );
+
+    const { is_new: isNew, ...contact } = rows[0];
+    return { ...contact, isNew };
+  }
+
+  /**
+   * עדכון פרטי פרופיל (תמונה, about)
+   * @param {string} contactId
+   * @param {object} profile - { profilePictureUrl, about }
+   */
+  async updateProfile(contactId, { profilePictureUrl = null, about = null }) {
+    await pool.query(
+      `UPDATE contacts
+       SET profile_picture_url = COALESCE($2, profile_picture_url),
+           about = COALESCE($3, about)
+       WHERE id = $1`,
+      [contactId, profilePictureUrl, about]
+    );
+  }
+
+  /**
+   * קריאת פרטי הפרופיל מ-WhatsApp (לא חוסם - פרטיות יכולה להסתיר אותם)
+   * @param {object} sock - Baileys socket
+   * @param {object} contact
+   */
+  async fetchProfile(sock, contact) {
+    if (!sock || !contact.jid) {
+      return;
+    }
+
+    const profilePictureUrl = await sock.profilePictureUrl(contact.jid, 'image').catch(() => null);
+    const status = await sock.fetchStatus(contact.jid).catch(() => null);
+    // הגרסאות החדשות של Baileys מחזירות מערך של תוצאות
+    const about = Array.isArray(status) ? status[0]?.status?.status : status?.status;
+
+    if (profilePictureUrl || about) {
+      await this.updateProfile(contact.id, { profilePictureUrl, about: about || null });
+    }
+  }
+
+  /**
+   * ה-GHL contact id של contact - מה-cache, או upsert ב-GHL בפעם הראשונה
+   * @param {string} organizationId
+   * @param {object} contact - שורה מ-touchContact
+   * @returns {Promise<string|null>}
+   */
+  async ensureGHLContact(organizationId, contact) {
+    if (contact.ghl_contact_id) {
+      return contact.ghl_contact_id;
+    }
+
+    // כמה הודעות מאותו מספר ברצף - upsert אחד ל-GHL
+    if (!this.pendingGHLSyncs.has(contact.id)) {
+      const sync = this.syncToGHL(organizationId, contact)
+        .finally(() => this.pendingGHLSyncs.delete(contact.id));
+      this.pendingGHLSyncs.set(contact.id, sync);
+    }
+
+    return this.pendingGHLSyncs.get(contact.id);
+  }
+
+  /**
+   * upsert של ה-contact ב-GHL ושמירת ה-id שחזר
+   * @param {string} organizationId
+   * @param {object} contact
+   * @returns {Promise<string|null>}
+   */
+  async syncToGHL(organizationId, contact) {
+    const result = await this.ghlWebhookService.syncContactToGHL(organizationId, {
+      phone: contact.phone,
+      name: contact.push_name
+    });
+
+    const ghlContactId = result?.contact?.id;
+    if (!ghlContactId) {
+      return null;
+    }
+
+    await pool.query(
+      'UPDATE contacts SET ghl_contact_id = $2, ghl_synced_at = NOW() WHERE id = $1',
+      [contact.id, ghlContactId]
+    );
+
+    logger.info(`🔗 Contact ${contact.phone} mapped to GHL contact ${ghlContactId}`);
+    return ghlContactId;
+  }
+
+  /**
+   * רישום הודעה נכנסת: עדכון ה-contact המקומי וקבלת ה-GHL contact id
+   * @param {object} session - רשומת session מ-SessionManager
+   * @param {object} normalized - הודעה מנורמלת (MessageNormalizer)
+   * @param {string} jid - ה-JID של השולח
+   * @returns {Promise<object>} { contact, ghlContactId }
+   */
+  async recordInbound(session, normalized, jid) {
+    const contact = await this.touchContact(session.organizationId, {
+      phone: normalized.fromNumber,
+      jid,
+      pushName: normalized.pushName,
+      seenAt: normalized.timestamp
+    });
+
+    if (contact.isNew) {
+      this.fetchProfile(session.sock, contact).catch((error) => {
+        logger.debug(`Could not fetch profile for ${contact.phone}: ${error.message}`);
+      });
+    }
+
+    const ghlContactId = await this.ensureGHLContact(session.organizationId, contact).catch((error) => {
+      logger.warn(`⚠️ GHL contact upsert failed for ${contact.phone}: ${error.message}`);
+      return null;
+    });
+
+    return { contact, ghlContactId };
+  }
+}
+
+export default ContactService;
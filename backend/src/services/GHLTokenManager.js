@@ -0,0 +1,384 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import pino from 'pino';
+import pool from '../config/database.js';
+import GHLService from './ghlService.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const MARKETPLACE_URL = process.env.GHL_MARKETPLACE_URL || 'https://marketplace.gohighlevel.com';
+const DEFAULT_SCOPES = [
+  'contacts.readonly',
+  'contacts.write',
+  'conversations.readonly',
+  'conversations.write',
+  'conversations/message.readonly',
+  'conversations/message.write',
+  'opportunities.readonly',
+  'opportunities.write',
+  'locations/customFields.readonly'
+].join(' ');
+
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // מחדשים 5 דקות לפני שפג התוקף
+const STATE_TTL_SECONDS = 15 * 60;
+
+/**
+ * GHL Token Manager - OAuth של ה-marketplace app
+ *
+ * - install: הפניה ל-chooselocation עם state חתום (organization_id)
+ * - callback: החלפת ה-code ב-access + refresh token ושמירה ב-ghl_oauth_tokens (שורה לכל location),
+ *   עם ה-organization_id מה-state החתום. התקנה בלי state נשמרת בלי organization ולא מקושרת אוטומטית
+ * - getAccessToken: מחזיר token תקף, ומחדש אותו לפני שפג התוקף.
+ *   חידוש נעשה בתוך transaction עם FOR UPDATE (ה-refresh token מתחלף בכל חידוש,
+ *   אז שני instances לא יכולים לחדש במקביל) ובקשות מקבילות באותו process ממתינות לאותו חידוש
+ * - uninstall: מחיקת ה-tokens של ה-location
+ *
+ * organization בלי התקנת OAuth ממשיכה לעבוד עם organizations.ghl_api_key (private integration).
+ */
+class GHLTokenManager {
+  constructor() {
+    this.clientId = process.env.GHL_CLIENT_ID;
+    this.clientSecret = process.env.GHL_CLIENT_SECRET;
+    this.redirectUri = process.env.GHL_OAUTH_REDIRECT_URI;
+    this.scopes = process.env.GHL_OAUTH_SCOPES || DEFAULT_SCOPES;
+    this.baseURL = (process.env.GHL_API_BASE_URL || 'https://services.leadconnectorhq.com').replace(/\/$/, '');
+    this.refreshing = new Map(); // locationId -> Promise<string>
+  }
+
+  /**
+   * @returns {boolean} האם ה-marketplace app מוגדר
+   */
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret && this.redirectUri);
+  }
+
+  /**
+   * חתימה על ה-state של ה-OAuth flow
+   * @param {string} payload
+   * @returns {string}
+   */
+  signState(payload) {
+    return crypto.createHmac('sha256', this.clientSecret).update(payload).digest('hex');
+  }
+
+  /**
+   * יצירת state חתום שמקשר את ההתקנה ל-organization
+   * @param {string} organizationId
+   * @returns {string}
+   */
+  createState(organizationId) {
+    const expires = Math.floor(Date.now() / 1000) + STATE_TTL_SECONDS;
+    const payload = `${organizationId}.${expires}`;
+    return `${payload}.${this.signState(payload)}`;
+  }
+
+  /**
+   * בדיקת state שחזר ב-callback
+   * @param {string} state
+   * @returns {string|null} organization_id, או null אם לא תקין / פג תוקף
+   */
+  verifyState(state) {
+    const [organizationId, expires, signature] = String(state || '').split('.');
+    if (!organizationId || !expires || !signature || parseInt(expires) < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signState(`${organizationId}.${expires}`), 'hex');
+    const provided = Buffer.from(signature, 'hex');
+
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided)
+      ? organizationId
+      : null;
+  }
+
+  /**
+   * קישור להתקנת ה-app (בחירת location ב-GHL)
+   * @param {string} organizationId
+   * @returns {string}
+   */
+  getAuthorizationUrl(organizationId) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state: this.createState(organizationId)
+    });
+
+    return `${MARKETPLACE_URL}/oauth/chooselocation?${params}`;
+  }
+
+  /**
+   * בקשה ל-/oauth/token
+   * @param {object} params - grant_type + code / refresh_token
+   * @returns {Promise<object>} { access_token, refresh_token, expires_in, scope, locationId, companyId, userType }
+   */
+  async requestToken(params) {
+    const response = await axios.post(
+      `${this.baseURL}/oauth/token`,
+      new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        user_type: 'Location',
+        redirect_uri: this.redirectUri,
+        ...params
+      }),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        timeout: 15000
+      }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * שמירת tokens של location
+   * @param {object} client - pool או client של transaction
+   * @param {object} token - התשובה של /oauth/token
+   * @param {string} locationId - אם לא מופיע בתשובה (refresh)
+   * @param {string} organizationId - מה-state החתום בלבד (null ב-refresh / התקנה בלי state שומר את הקישור הקיים)
+   * @returns {Promise<object>} השורה שנשמרה
+   */
+  async saveTokens(client, token, locationId = null, organizationId = null) {
+    const { rows } = await client.query(
+      `INSERT INTO ghl_oauth_tokens (
+        location_id, company_id, user_type, access_token, refresh_token, scope, expires_at, organization_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7 * INTERVAL '1 second', $8)
+      ON CONFLICT (location_id)
+      DO UPDATE SET
+        organization_id = COALESCE(EXCLUDED.organization_id, ghl_oauth_tokens.organization_id),
+        company_id = COALESCE(EXCLUDED.company_id, ghl_oauth_tokens.company_id),
+        user_type = EXCLUDED.user_type,
+        access_token = EXCLUDED.access_token,
+        refresh_token = EXCLUDED.refresh_token,
+        scope = COALESCE(EXCLUDED.scope, ghl_oauth_tokens.scope),
+        expires_at = EXCLUDED.expires_at
+      RETURNING *`,
+      [
+        token.locationId || locationId,
+        token.companyId || null,
+        token.userType || 'Location',
+        token.access_token,
+        token.refresh_token,
+        token.scope || null,
+        token.expires_in || 86400,
+        organizationId
+      ]
+    );
+
+    return rows[0];
+  }
+
+  /**
+   * השלמת ההתקנה: החלפת ה-code ב-tokens וקישור ה-location ל-organization
+   * @param {string} code
+   * @param {string} state
+   * @returns {Promise<object>} { locationId, organizationId }
+   */
+  async handleCallback(code, state) {
+    if (!this.isConfigured()) {
+      const error = new Error('GHL OAuth is not configured');
+      error.status = 503;
+      throw error;
+    }
+
+    // התקנה ישירות מה-marketplace מגיעה בלי state - ה-tokens נשמרים אבל לא משמשים אף organization
+    const organizationId = state ? this.verifyState(state) : null;
+    if (state && !organizationId) {
+      const error = new Error('Invalid or expired OAuth state');
+      error.status = 400;
+      throw error;
+    }
+
+    const token = await this.requestToken({ grant_type: 'authorization_code', code });
+
+    if (!token.locationId) {
+      const error = new Error('Only location-level installs are supported');
+      error.status = 400;
+      throw error;
+    }
+
+    if (!organizationId) {
+      await this.saveTokens(pool, token);
+    } else {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // התקנה קודמת של ה-organization (location אחר) מתנתקת ממנה
+        await client.query(
+          'UPDATE ghl_oauth_tokens SET organization_id = NULL WHERE organization_id = $1 AND location_id <> $2',
+          [organizationId, token.locationId]
+        );
+        await this.saveTokens(client, token, null, organizationId);
+        await client.query(
+          'UPDATE organizations SET ghl_location_id = $1 WHERE id = $2',
+          [token.locationId, organizationId]
+        );
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        if (error.code !== '23505') throw error;
+        const conflict = new Error('This GHL location is already linked to another organization');
+        conflict.status = 409;
+        throw conflict;
+      } finally {
+        client.release();
+      }
+    }
+
+    logger.info(`✅ GHL app installed for location ${token.locationId}${organizationId ? ` (org ${organizationId})` : ''}`);
+    return { locationId: token.locationId, organizationId };
+  }
+
+  /**
+   * חידוש token של location (נעילת השורה - ה-refresh token הישן מפסיק לעבוד אחרי חידוש)
+   * @param {string} locationId
+   * @param {boolean} force - לחדש גם אם עוד לא קרוב לפקיעה (אחרי 401)
+   * @returns {Promise<string>} access token
+   */
+  async refreshToken(locationId, force = false) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        'SELECT * FROM ghl_oauth_tokens WHERE location_id = $1 FOR UPDATE',
+        [locationId]
+      );
+
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // instance אחר כבר חידש בזמן שחיכינו לנעילה
+      const row = rows[0];
+      if (!force && new Date(row.expires_at).getTime() - Date.now() > REFRESH_MARGIN_MS) {
+        await client.query('COMMIT');
+        return row.access_token;
+      }
+
+      const token = await this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: row.refresh_token,
+        user_type: row.user_type || 'Location'
+      });
+      const saved = await this.saveTokens(client, token, locationId);
+
+      await client.query('COMMIT');
+      logger.info(`🔄 Refreshed GHL token for location ${locationId}`);
+      return saved.access_token;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error(`❌ Failed to refresh GHL token for location ${locationId}:`, error.response?.data || error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * access token תקף של location (מחדש אם צריך)
+   * @param {string} locationId
+   * @param {object} options - { forceRefresh }
+   * @returns {Promise<string|null>} null אם ה-app לא מותקן ב-location
+   */
+  async getAccessToken(locationId, { forceRefresh = false } = {}) {
+    const { rows } = await pool.query(
+      'SELECT access_token, expires_at FROM ghl_oauth_tokens WHERE location_id = $1',
+      [locationId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    if (!forceRefresh && new Date(rows[0].expires_at).getTime() - Date.now() > REFRESH_MARGIN_MS) {
+      return rows[0].access_token;
+    }
+
+    if (!this.refreshing.has(locationId)) {
+      const refresh = this.refreshToken(locationId, forceRefresh)
+        .finally(() => this.refreshing.delete(locationId));
+      this.refreshing.set(locationId, refresh);
+    }
+
+    return this.refreshing.get(locationId);
+  }
+
+  /**
+   * GHL API client של organization - OAuth אם ה-organization התקינה את ה-app, אחרת ghl_api_key
+   * tokens נבחרים לפי ghl_oauth_tokens.organization_id, לא לפי ה-location בלבד
+   * @param {string} organizationId
+   * @returns {Promise<GHLService|null>} null אם אין credentials
+   */
+  async getClient(organizationId) {
+    const { rows } = await pool.query(
+      `SELECT o.ghl_api_key, o.ghl_location_id, t.location_id AS oauth_location_id
+       FROM organizations o
+       LEFT JOIN ghl_oauth_tokens t ON t.organization_id = o.id AND t.location_id = o.ghl_location_id
+       WHERE o.id = $1`,
+      [organizationId]
+    );
+
+    const org = rows[0];
+    if (!org?.ghl_location_id) {
+      return null;
+    }
+
+    if (org.oauth_location_id) {
+      return new GHLService({
+        locationId: org.ghl_location_id,
+        tokenProvider: (options) => this.getAccessToken(org.ghl_location_id, options)
+      });
+    }
+
+    if (org.ghl_api_key) {
+      return new GHLService({ accessToken: org.ghl_api_key, locationId: org.ghl_location_id });
+    }
+
+    return null;
+  }
+
+  /**
+   * ה-token הנוכחי של organization (ל-webhooks שמצפים ל-Bearer של GHL)
+   * @param {string} organizationId
+   * @returns {Promise<string|null>}
+   */
+  async getOrganizationToken(organizationId) {
+    const client = await this.getClient(organizationId);
+
+    if (!client) {
+      return null;
+    }
+
+    return client.tokenProvider ? client.tokenProvider() : client.accessToken;
+  }
+
+  /**
+   * טיפול ב-UNINSTALL של ה-app - ה-tokens כבר לא תקפים
+   * @param {object} payload - { type, locationId, companyId, appId }
+   * @returns {Promise<boolean>} האם נמחקו tokens
+   */
+  async handleUninstall({ locationId }) {
+    if (!locationId) {
+      return false;
+    }
+
+    const { rowCount } = await pool.query(
+      'DELETE FROM ghl_oauth_tokens WHERE location_id = $1',
+      [locationId]
+    );
+
+    logger.info(`🗑️ GHL app uninstalled from location ${locationId}`);
+    return rowCount > 0;
+  }
+}
+
+export default GHLTokenManager;
@@ -1,6 +1,10 @@
 import axios from 'axios';
 import pool from '../config/database.js';
 import pino from 'pino';
+import GHLTokenManager from './GHLTokenManager.js';
+import { createSignedMediaUrl } from '../storage/MediaStorage.js';
+import { fileNameFromUrl, messageTypeForUrl, validateMediaContent } from '../whatsapp/OutboundContent.js';
+import { assertPublicUrl } from '../whatsapp/RemoteMedia.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
@@ -14,20 +18,27 @@ const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
  * - תמיכה בסנכרון contacts אוטומטי
  */
 class GHLWebhookService {
-  constructor() {
+  /**
+   * @param {object} deps
+   * @param {GHLTokenManager} deps.tokenManager - כל הקריאות ל-GHL API עוברות דרכו
+   */
+  constructor({ tokenManager = new GHLTokenManager() } = {}) {
+    this.tokenManager = tokenManager;
     this.maxRetries = 3;
     this.retryDelay = 2000; // 2 seconds initial delay
+    this.retryTimers = new Set();
+    this.shuttingDown = false;
   }
 
   /**
    * קבלת תצורת GHL של organization
    * @param {string} organizationId
-   * @returns {object} { webhook_url, ghl_api_key, ghl_location_id }
+   * @returns {object} { webhook_url, ghl_location_id }
    */
   async getOrgConfig(organizationId) {
     try {
       const { rows } = await pool.query(
-        'SELECT webhook_url, ghl_api_key, ghl_location_id FROM organizations WHERE id = $1',
+        'SELECT webhook_url, ghl_location_id FROM organizations WHERE id = $1',
         [organizationId]
       );
 
@@ -42,13 +53,33 @@ class GHLWebhookService {
     }
   }
 
+  /**
+   * headers ל-webhook של ה-organization - ה-token מגיע מ-GHLTokenManager (OAuth או ghl_api_key)
+   * @param {string} organizationId
+   * @param {object} org - מ-getOrgConfig
+   * @returns {Promise<object>}
+   */
+  async getWebhookHeaders(organizationId, org) {
+    const accessToken = await this.tokenManager.getOrganizationToken(organizationId).catch((error) => {
+      logger.warn(`⚠️ Could not get GHL token for org ${organizationId}: ${error.message}`);
+      return null;
+    });
+
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': accessToken ? `Bearer ${accessToken}` : undefined,
+      'X-Location-Id': org.ghl_location_id || undefined
+    };
+  }
+
   /**
    * שליחת הודעה ל-GHL webhook
    * @param {string} organizationId
    * @param {object} messageData - { from_number, to_number, content, timestamp, message_id }
+   * @param {number} retryCount - מספר הניסיון הנוכחי (0 = ניסיון ראשון)
    * @returns {Promise<object>} response data
    */
-  async sendMessageToGHL(organizationId, messageData) {
+  async sendMessageToGHL(organizationId, messageData, retryCount = 0) {
     const org = await this.getOrgConfig(organizationId);
 
     if (!org.webhook_url) {
@@ -56,6 +87,10 @@ class GHLWebhookService {
       return null;
     }
 
+    // קישור חתום לקובץ המצורף (תמונה, מסמך, הקלטה) ש-GHL יכול להוריד
+    const media = messageData.content?.media;
+    const mediaUrl = media?.key ? createSignedMediaUrl(media.key, { absolute: true }) : null;
+
     // בנה payload לפי פורמט GHL
     const payload = {
       type: 'whatsapp_message',
@@ -63,9 +98,14 @@ class GHLWebhookService {
       data: {
         from: this.formatPhoneNumber(messageData.from_number),
         to: this.formatPhoneNumber(messageData.to_number),
-        message: messageData.content?.text || messageData.content?.conversation || '',
+        message: messageData.content?.text || messageData.content?.conversation || messageData.content?.caption || '',
         messageId: messageData.message_id,
+        contactId: messageData.ghl_contact_id || null,
         messageType: messageData.message_type || 'text',
+        mediaUrl,
+        mimetype: messageData.content?.mimetype || null,
+        fileName: messageData.content?.fileName || null,
+        attachments: mediaUrl ? [mediaUrl] : [],
         isGroupMessage: messageData.is_group_message || false,
         groupJid: messageData.group_jid || null
       }
@@ -75,11 +115,7 @@ class GHLWebhookService {
 
     try {
       const response = await axios.post(org.webhook_url, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': org.ghl_api_key ? `Bearer ${org.ghl_api_key}` : undefined,
-          'X-Location-Id': org.ghl_location_id || undefined
-        },
+        headers: await this.getWebhookHeaders(organizationId, org),
         timeout: 10000 // 10 seconds timeout
       });
 
@@ -123,7 +159,65 @@ class GHLWebhookService {
       });
 
       // נסה שוב
-      await this.scheduleRetry(organizationId, messageData);
+      await this.scheduleRetry(organizationId, messageData, retryCount);
+
+      throw error;
+    }
+  }
+
+  /**
+   * שליחת עדכון סטטוס של הודעה יוצאת (delivered / read / failed) ל-GHL webhook
+   * ללא retry - עדכון סטטוס מאוחר יותר מחליף עדכון שאבד
+   * @param {string} organizationId
+   * @param {object} statusData - { id, messageId, to, status, deliveredAt, readAt, ghlMessageId }
+   * @returns {Promise<object|null>} response data
+   */
+  async sendStatusToGHL(organizationId, statusData) {
+    const org = await this.getOrgConfig(organizationId);
+
+    if (!org.webhook_url) {
+      return null;
+    }
+
+    const payload = {
+      type: 'whatsapp_message_status',
+      timestamp: new Date().toISOString(),
+      data: {
+        messageId: statusData.messageId,
+        ghlMessageId: statusData.ghlMessageId || null,
+        to: this.formatPhoneNumber(statusData.to),
+        status: statusData.status,
+        deliveredAt: statusData.deliveredAt || null,
+        readAt: statusData.readAt || null
+      }
+    };
+
+    try {
+      const response = await axios.post(org.webhook_url, payload, {
+        headers: await this.getWebhookHeaders(organizationId, org),
+        timeout: 10000
+      });
+
+      await this.logWebhook({
+        organizationId,
+        messageId: statusData.id,
+        webhookUrl: org.webhook_url,
+        payload,
+        status: 'success',
+        responseStatus: response.status
+      });
+
+      return response.data;
+    } catch (error) {
+      await this.logWebhook({
+        organizationId,
+        messageId: statusData.id,
+        webhookUrl: org.webhook_url,
+        payload,
+        status: 'failed',
+        responseStatus: error.response?.status,
+        errorMessage: error.message
+      });
 
       throw error;
     }
@@ -133,7 +227,7 @@ class GHLWebhookService {
    * תזמון retry עם exponential backoff
    * @param {string} organizationId
    * @param {object} messageData
-   * @param {number} retryCount - מספר הניסיון הנוכחי
+   * @param {number} retryCount - מספר הניסיון שנכשל (0 = הניסיון הראשון)
    */
   async scheduleRetry(organizationId, messageData, retryCount = 0) {
     if (retryCount >= this.maxRetries) {
@@ -150,54 +244,79 @@ class GHLWebhookService {
       return;
     }
 
+    // ההודעה נשארת synced_to_ghl = false ונשלחת ב-syncPendingMessages אחרי ה-restart
+    if (this.shuttingDown) {
+      logger.warn(`⚠️ Shutting down - message ${messageData.id} left pending for GHL sync`);
+      return;
+    }
+
     const delay = this.retryDelay * Math.pow(2, retryCount); // Exponential backoff: 2s, 4s, 8s
 
     logger.info(`🔄 Scheduling retry ${retryCount + 1}/${this.maxRetries} for message ${messageData.id} in ${delay}ms`);
 
-    setTimeout(async () => {
-      try {
-        await this.sendMessageToGHL(organizationId, messageData);
-      } catch (error) {
-        await this.scheduleRetry(organizationId, messageData, retryCount + 1);
-      }
+    // sendMessageToGHL מתזמן את הניסיון הבא בעצמו אם גם זה נכשל
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.sendMessageToGHL(organizationId, messageData, retryCount + 1).catch(() => {});
     }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Graceful shutdown - ביטול ה-retries המתוזמנים.
+   * ההודעות שלהם נשארות synced_to_ghl = false ב-DB, ו-syncPendingMessages שולח אותן בעליית השרת
+   */
+  shutdown() {
+    this.shuttingDown = true;
+
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+
+    if (this.retryTimers.size > 0) {
+      logger.info(`⏹️ Cancelled ${this.retryTimers.size} pending GHL retries`);
+    }
+    this.retryTimers.clear();
   }
 
   /**
-   * סנכרון contact ל-GHL (אופציונלי)
+   * GHL API client של organization (OAuth token מתחדש, או ghl_api_key)
+   * @param {string} organizationId
+   * @returns {Promise<GHLService|null>} null אם אין credentials
+   */
+  async getGHLClient(organizationId) {
+    const client = await this.tokenManager.getClient(organizationId);
+
+    if (!client) {
+      logger.warn(`⚠️ GHL API credentials not configured for org: ${organizationId}`);
+    }
+
+    return client;
+  }
+
+  /**
+   * upsert של contact ב-GHL (נקרא מ-ContactService בהודעה הראשונה ממספר חדש)
    * @param {string} organizationId
    * @param {object} contactData - { phone, name, email }
+   * @returns {Promise<object|null>} { contact, new }
    */
   async syncContactToGHL(organizationId, contactData) {
-    const org = await this.getOrgConfig(organizationId);
+    const client = await this.getGHLClient(organizationId);
 
-    if (!org.ghl_api_key || !org.ghl_location_id) {
-      logger.warn('⚠️ GHL API credentials not configured');
+    if (!client) {
       return null;
     }
 
-    const payload = {
-      phone: this.formatPhoneNumber(contactData.phone),
-      name: contactData.name || '',
-      email: contactData.email || '',
-      source: 'WhatsApp',
-      locationId: org.ghl_location_id
-    };
-
     try {
-      const response = await axios.post(
-        'https://rest.gohighlevel.com/v1/contacts/',
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${org.ghl_api_key}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const result = await client.upsertContact({
+        phone: this.formatPhoneNumber(contactData.phone),
+        name: contactData.name || undefined,
+        email: contactData.email || undefined,
+        source: 'WhatsApp'
+      });
 
       logger.info(`✅ Contact synced to GHL: ${contactData.phone}`);
-      return response.data;
+      return result;
     } catch (error) {
       logger.error(`❌ Failed to sync contact to GHL:`, error.message);
       throw error;
@@ -205,19 +324,205 @@ class GHLWebhookService {
   }
 
   /**
-   * שליחת הודעה דרך GHL API (הכיוון ההפוך - מ-GHL ל-WhatsApp)
+   * חיבור ל-MessageQueue (נוצר אחרי השירות הזה, כי הוא תלוי ב-SessionManager)
+   * @param {MessageQueue} messageQueue
+   */
+  setMessageQueue(messageQueue) {
+    this.messageQueue = messageQueue;
+  }
+
+  /**
+   * מציאת organization לפי GHL location
+   * @param {string} locationId
+   * @returns {Promise<object|null>} { id, ghl_location_id }
+   */
+  async getOrganizationByLocation(locationId) {
+    const { rows } = await pool.query(
+      'SELECT id, ghl_location_id FROM organizations WHERE ghl_location_id = $1',
+      [locationId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * בחירת ה-session שישלח הודעה ל-contact:
+   * 1. session שביקשו במפורש (אם שייך ל-organization ומחובר)
+   * 2. ה-session שדיבר לאחרונה עם המספר הזה
+   * 3. ה-session המחובר שהיה פעיל לאחרונה
+   * @param {string} organizationId
+   * @param {string} phoneNumber - מספר בלי + (כמו ב-messages)
+   * @param {string} preferredSessionId
+   * @returns {Promise<string|null>} session_id
+   */
+  async resolveSessionForContact(organizationId, phoneNumber, preferredSessionId = null) {
+    if (preferredSessionId) {
+      const { rows } = await pool.query(
+        `SELECT session_id FROM whatsapp_sessions
+         WHERE session_id = $1 AND organization_id = $2 AND status = 'connected'`,
+        [preferredSessionId, organizationId]
+      );
+      if (rows.length > 0) return rows[0].session_id;
+    }
+
+    const { rows: recent } = await pool.query(
+      `SELECT ws.session_id
+       FROM messages m
+       JOIN whatsapp_sessions ws ON ws.id = m.session_id
+       WHERE m.organization_id = $1
+       AND (m.from_number = $2 OR m.to_number = $2)
+       AND ws.status = 'connected'
+       ORDER BY m.timestamp DESC
+       LIMIT 1`,
+      [organizationId, phoneNumber]
+    );
+    if (recent.length > 0) return recent[0].session_id;
+
+    const { rows: connected } = await pool.query(
+      `SELECT session_id FROM whatsapp_sessions
+       WHERE organization_id = $1 AND status = 'connected'
+       ORDER BY last_seen_at DESC NULLS LAST
+       LIMIT 1`,
+      [organizationId]
+    );
+    return connected[0]?.session_id || null;
+  }
+
+  /**
+   * שליחת הודעה מ-GHL ל-WhatsApp (הכיוון ההפוך) - דרך MessageQueue
+   * טקסט נשלח כהודעה אחת, וכל קובץ מצורף כהודעת מדיה נפרדת
    * @param {string} organizationId
    * @param {string} sessionId
    * @param {string} toNumber
    * @param {string} message
+   * @param {object} options - { attachments, ghlMessageId, contactId }
+   * @returns {Promise<object>} { success, sessionId, queueIds }
    */
-  async sendMessageFromGHL(organizationId, sessionId, toNumber, message) {
-    // זה יטופל על ידי ה-sessionManager
-    // פונקציה זו נועדה לקבל webhooks מ-GHL ולשלוח דרך WhatsApp
-    logger.info(`📥 Received message from GHL to send via WhatsApp`);
+  async sendMessageFromGHL(organizationId, sessionId, toNumber, message, options = {}) {
+    const { attachments = [], ghlMessageId = null, contactId = null } = options;
+
+    if (!this.messageQueue) {
+      throw new Error('Message queue not configured');
+    }
+
+    logger.info(`📥 Received message from GHL to send via WhatsApp (session: ${sessionId})`);
+
+    const jid = `${this.formatPhoneNumber(toNumber).replace('+', '')}@s.whatsapp.net`;
+    const metadata = { source: 'ghl', ghlMessageId, contactId, organizationId };
+    const messages = message ? [{ jid, content: message, type: 'text', metadata }] : [];
+
+    // קבצים מצורפים עם URL לא תקין / פנימי נדחים לפני שמשהו נכנס לתור
+    for (const url of attachments) {
+      const type = messageTypeForUrl(url);
+      const content = { url, fileName: fileNameFromUrl(url) || 'file' };
+      validateMediaContent(type, content);
+      await assertPublicUrl(url);
+      messages.push({ jid, content, type, metadata });
+    }
+
+    // טקסט + קבצים מצורפים נכנסים במכסה יחד, או נדחים יחד
+    const queueIds = messages.length > 0 ? await this.messageQueue.enqueueMany(sessionId, messages) : [];
 
-    // TODO: Call sessionManager.sendMessage()
-    return { success: true };
+    return { success: true, sessionId, queueIds };
+  }
+
+  /**
+   * טיפול ב-webhook של הודעה יוצאת מ-GHL (Conversation Provider / OutboundMessage)
+   * @param {object} payload - { locationId, contactId, messageId, phone, message, attachments, sessionId }
+   * @param {string|null} verifiedOrganizationId - ה-organization שהחתימה אומתה עבורה (req.webhookOrganizationId)
+   * @returns {Promise<object>} { success, sessionId, queueIds }
+   */
+  async handleOutboundWebhook(payload, verifiedOrganizationId) {
+    const { locationId, contactId, messageId, phone, attachments = [] } = payload;
+    const message = payload.message ?? payload.body ?? '';
+
+    if (!locationId || !phone) {
+      const error = new Error('locationId and phone are required');
+      error.status = 400;
+      throw error;
+    }
+
+    const org = await this.getOrganizationByLocation(locationId);
+    if (!org) {
+      const error = new Error(`No organization for location ${locationId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    // החתימה חייבת להיות של ה-organization שה-location שייך לה
+    if (org.id !== verifiedOrganizationId) {
+      logger.warn(`⚠️ Webhook for location ${locationId} was not signed by its organization`);
+      const error = new Error('Webhook signature does not belong to this location');
+      error.status = 403;
+      throw error;
+    }
+
+    try {
+      const phoneNumber = this.formatPhoneNumber(phone).replace('+', '');
+      const sessionId = await this.resolveSessionForContact(org.id, phoneNumber, payload.sessionId);
+
+      if (!sessionId) {
+        const error = new Error('No connected WhatsApp session for this organization');
+        error.status = 409;
+        throw error;
+      }
+
+      return await this.sendMessageFromGHL(org.id, sessionId, phoneNumber, message, {
+        attachments,
+        ghlMessageId: messageId,
+        contactId
+      });
+    } catch (error) {
+      // GHL מציג את ההודעה כ-pending עד שמעדכנים אותו
+      if (messageId) {
+        await this.updateGHLMessageStatus(org.id, messageId, 'failed', error.message).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * עדכון סטטוס של הודעה ב-GHL Conversations (delivered / read / failed)
+   * @param {string} organizationId
+   * @param {string} ghlMessageId
+   * @param {string} status
+   * @param {string} errorMessage
+   */
+  async updateGHLMessageStatus(organizationId, ghlMessageId, status, errorMessage = null) {
+    const client = await this.getGHLClient(organizationId);
+
+    if (!client) {
+      return null;
+    }
+
+    try {
+      const result = await client.updateMessageStatus(ghlMessageId, status, errorMessage);
+
+      logger.info(`✅ Updated GHL message ${ghlMessageId} status to ${status}`);
+      return result;
+    } catch (error) {
+      logger.error(`❌ Failed to update GHL message ${ghlMessageId} status:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * דיווח ל-GHL על תוצאת שליחה של הודעה שהגיעה מ-GHL (hook של MessageQueue)
+   * @param {object} item - שורת message_queue
+   * @param {Error|null} error
+   */
+  async reportQueueResult(item, error = null) {
+    const { source, ghlMessageId } = item.metadata || {};
+
+    if (source !== 'ghl' || !ghlMessageId || !item.organization_id) {
+      return;
+    }
+
+    await this.updateGHLMessageStatus(
+      item.organization_id,
+      ghlMessageId,
+      error ? 'failed' : 'delivered',
+      error?.message
+    );
   }
 
   /**
@@ -253,9 +558,10 @@ class GHLWebhookService {
   /**
    * קבלת כל ההודעות שטרם סונכרנו ל-GHL
    * @param {string} organizationId
+   * @param {object} filters - { sessionIds, since } (null = ללא סינון)
    * @returns {Array} הודעות ממתינות
    */
-  async getPendingMessages(organizationId) {
+  async getPendingMessages(organizationId, { sessionIds = null, since = null } = {}) {
     try {
       const { rows } = await pool.query(
         `SELECT * FROM messages
@@ -263,9 +569,13 @@ class GHLWebhookService {
          AND synced_to_ghl = false
          AND direction = 'inbound'
          AND status != 'failed'
+         AND ($2::text[] IS NULL OR session_id IN (
+           SELECT id FROM whatsapp_sessions WHERE session_id = ANY($2::text[])
+         ))
+         AND ($3::timestamptz IS NULL OR timestamp >= $3)
          ORDER BY timestamp ASC
          LIMIT 100`,
-        [organizationId]
+        [organizationId, sessionIds, since]
       );
 
       logger.info(`📬 Found ${rows.length} messages pending GHL sync`);
@@ -277,9 +587,10 @@ class GHLWebhookService {
   }
 
   /**
-   * סנכרון כל ההודעות הממתינות (cron job)
+   * סנכרון כל ההודעות הממתינות (cron job, ובעליית השרת - retries שבוטלו ב-shutdown)
+   * @param {object} filters - { sessionIds, since } ראה getPendingMessages
    */
-  async syncPendingMessages() {
+  async syncPendingMessages(filters = {}) {
     logger.info('🔄 Starting pending messages sync...');
 
     try {
@@ -289,7 +600,7 @@ class GHLWebhookService {
       );
 
       for (const org of orgs) {
-        const pendingMessages = await this.getPendingMessages(org.id);
+        const pendingMessages = await this.getPendingMessages(org.id, filters);
 
         for (const msg of pendingMessages) {
           try {
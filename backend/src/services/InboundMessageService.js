@@ -0,0 +1,186 @@
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import pino from 'pino';
+import { normalizeMessage } from '../whatsapp/MessageNormalizer.js';
+import { SESSION_EVENTS } from '../whatsapp/SessionEventBus.js';
+import { toSession } from './SocketEventRelay.js';
+import { buildMediaKey, createSignedMediaUrl } from '../storage/MediaStorage.js';
+import { extensionFor } from '../storage/mediaTypes.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const DOWNLOADABLE_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const MAX_INBOUND_MEDIA_SIZE = (parseInt(process.env.INBOUND_MEDIA_MAX_MB) || 100) * 1024 * 1024;
+
+/**
+ * Inbound Message Service - צינור הטיפול בהודעות נכנסות
+ *
+ * לכל הודעה נכנסת:
+ * 1. נרמול ההודעה (MessageNormalizer)
+ * 2. הורדת מדיה (תמונה, מסמך, הקלטה...) ושמירה ב-MediaStorage
+ * 3. שמירה ב-DB עם ה-organization_id של ה-session
+ * 4. שליחה ל-Socket.IO rooms של ה-session וה-organization
+ * 5. עדכון ה-contact המקומי (ContactService) - upsert ב-GHL בהודעה הראשונה ממספר חדש
+ * 6. סנכרון ל-GHL דרך GHLWebhookService, עם ה-GHL contact id
+ */
+class InboundMessageService {
+  /**
+   * @param {object} deps
+   * @param {SessionPersistence} deps.persistence
+   * @param {GHLWebhookService} deps.ghlWebhookService
+   * @param {SocketIO.Server} deps.io
+   * @param {object} deps.mediaStorage - driver מ-createMediaStorage
+   * @param {ContactService} deps.contactService
+   */
+  constructor({ persistence, ghlWebhookService, io, mediaStorage, contactService = null }) {
+    this.persistence = persistence;
+    this.ghlWebhookService = ghlWebhookService;
+    this.io = io;
+    this.mediaStorage = mediaStorage;
+    this.contactService = contactService;
+  }
+
+  /**
+   * הרשמה ל-message.received של כל ה-sessions (כולל sessions ששוחזרו / חוברו מחדש)
+   * @param {SessionEventBus} eventBus
+   */
+  subscribe(eventBus) {
+    eventBus.subscribe(SESSION_EVENTS.MESSAGE_RECEIVED, ({ session, message }) =>
+      this.handleMessage(session, message)
+    );
+  }
+
+  /**
+   * עדכון ה-contact וסנכרון ההודעה ל-GHL
+   * @param {object} session
+   * @param {object} msg - WAMessage
+   * @param {object} normalized
+   * @param {object} messageRow
+   */
+  async syncToGHL(session, msg, normalized, messageRow) {
+    const jid = msg.key.remoteJid;
+
+    // contacts נשמרים רק לצ'אטים פרטיים עם מספר טלפון (לא קבוצות / LID)
+    if (this.contactService && jid.endsWith('@s.whatsapp.net')) {
+      const { ghlContactId = null } = await this.contactService.recordInbound(session, normalized, jid)
+        .catch((error) => {
+          logger.warn(`⚠️ Failed to record contact for message ${messageRow.id}: ${error.message}`);
+          return {};
+        });
+      messageRow.ghl_contact_id = ghlContactId;
+    }
+
+    await this.ghlWebhookService.sendMessageToGHL(session.organizationId, messageRow);
+  }
+
+  /**
+   * הורדת המדיה של הודעה ושמירתה ב-storage
+   * @param {object} session
+   * @param {object} msg - WAMessage
+   * @param {object} normalized
+   * @returns {Promise<object>} { driver, key, size } או { error } אם ההורדה נכשלה
+   */
+  async storeMedia(session, msg, normalized) {
+    const { content } = normalized;
+
+    if (content.fileLength && content.fileLength > MAX_INBOUND_MEDIA_SIZE) {
+      logger.warn(`⚠️ Skipping media download for ${normalized.messageId}: ${content.fileLength} bytes`);
+      return { error: 'File too large' };
+    }
+
+    try {
+      const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+        logger,
+        // מדיה ישנה נמחקת מהשרתים של WhatsApp - מבקש מהטלפון להעלות שוב
+        reuploadRequest: session.sock.updateMediaMessage
+      });
+
+      const key = buildMediaKey(
+        session.organizationId,
+        session.sessionId,
+        normalized.messageId,
+        extensionFor(content.mimetype, content.fileName)
+      );
+      const stored = await this.mediaStorage.put(key, buffer);
+
+      return { driver: this.mediaStorage.driver, key: stored.key, size: stored.size };
+    } catch (error) {
+      logger.error(`❌ Failed to download media for ${normalized.messageId}:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * טיפול בהודעה נכנסת אחת
+   * @param {object} session - רשומת session מ-SessionManager ({ sessionId, organizationId, sock })
+   * @param {object} msg - WAMessage
+   * @returns {Promise<object|null>} ההודעה שנשמרה, או null אם דולגה
+   */
+  async handleMessage(session, msg) {
+    const { sessionId, organizationId } = session;
+    const normalized = normalizeMessage(msg, session.sock?.user?.id);
+
+    // הודעות יוצאות נשמרות ע"י MessageQueue, הודעות מערכת מדולגות
+    if (!normalized || normalized.direction !== 'inbound') {
+      return null;
+    }
+
+    if (!organizationId) {
+      logger.warn(`⚠️ Session ${sessionId} has no organization - message ${normalized.messageId} saved without one`);
+    }
+
+    if (this.mediaStorage && DOWNLOADABLE_TYPES.includes(normalized.messageType)) {
+      normalized.content.media = await this.storeMedia(session, msg, normalized);
+    }
+
+    const saved = await this.persistence.saveMessage({
+      sessionId,
+      organizationId,
+      ...normalized
+    });
+
+    // Baileys שולח שוב הודעות אחרי reconnect - כבר שמורה
+    if (!saved) {
+      logger.debug(`⏭️ Duplicate message ${normalized.messageId} for session ${sessionId}`);
+      return null;
+    }
+
+    const messageRow = {
+      id: saved.id,
+      message_id: normalized.messageId,
+      from_number: normalized.fromNumber,
+      to_number: normalized.toNumber,
+      content: normalized.content,
+      message_type: normalized.messageType,
+      is_group_message: normalized.isGroupMessage,
+      group_jid: normalized.groupJid,
+      timestamp: normalized.timestamp.toISOString()
+    };
+
+    toSession(this.io, sessionId, organizationId, 'messages:read').emit('new_message', {
+      sessionId,
+      id: saved.id,
+      messageId: normalized.messageId,
+      from: msg.key.remoteJid,
+      pushName: normalized.pushName,
+      type: normalized.messageType,
+      content: normalized.content,
+      message: normalized.content.text || normalized.content.caption || '',
+      mediaUrl: normalized.content.media?.key
+        ? createSignedMediaUrl(normalized.content.media.key)
+        : null,
+      isGroupMessage: normalized.isGroupMessage,
+      timestamp: normalized.timestamp
+    });
+
+    if (organizationId) {
+      // כישלון סנכרון לא עוצר את הצינור - GHLWebhookService מתזמן retry בעצמו
+      this.syncToGHL(session, msg, normalized, messageRow).catch((error) => {
+        logger.warn(`⚠️ GHL sync failed for message ${saved.id}: ${error.message}`);
+      });
+    }
+
+    return messageRow;
+  }
+}
+
+export default InboundMessageService;
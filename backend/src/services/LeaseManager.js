@@ -0,0 +1,263 @@
+import os from 'os';
+import crypto from 'crypto';
+import pino from 'pino';
+import pool from '../config/database.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+export const LEASE_TTL_MS = parseInt(process.env.SESSION_LEASE_TTL_MS) || 30000;
+const RENEW_INTERVAL_MS = Math.floor(LEASE_TTL_MS / 3);
+const CLAIM_BATCH_SIZE = parseInt(process.env.SESSION_CLAIM_BATCH_SIZE) || 10;
+const STALE_INSTANCE_MS = 60 * 60 * 1000; // רשומות של instances מתים נמחקות אחרי שעה
+
+/**
+ * כתובת פנימית של ה-instance הזה (להעברת בקשות מ-instances אחרים)
+ * INSTANCE_URL, או כתובת ה-IP של הקונטיינר + PORT
+ * @returns {string|null}
+ */
+function resolveInstanceUrl() {
+  if (process.env.INSTANCE_URL) {
+    return process.env.INSTANCE_URL.replace(/\/$/, '');
+  }
+
+  const port = process.env.PORT || 3000;
+  const addresses = Object.values(os.networkInterfaces()).flat().filter(address => !address.internal);
+  const address = addresses.find(a => a.family === 'IPv4') || addresses.find(a => a.family === 'IPv6');
+
+  if (!address) {
+    return null;
+  }
+  return address.family === 'IPv6'
+    ? `http://[${address.address}]:${port}`
+    : `http://${address.address}:${port}`;
+}
+
+/**
+ * Lease Manager - בעלות של instance יחיד על כל session (Postgres leases)
+ *
+ * - לפני פתיחת socket ל-session ה-instance לוקח lease ב-session_leases;
+ *   אם ה-lease של instance אחר עדיין בתוקף - ה-session לא נפתח כאן
+ * - כל RENEW_INTERVAL_MS ה-leases של ה-sessions המקומיים מתחדשים.
+ *   lease שנלקח ע"י instance אחר (למשל אחרי freeze ארוך) - ה-socket המקומי נסגר בלי logout
+ * - instance שמת מפסיק לחדש, וה-leases שלו פגים אחרי LEASE_TTL_MS.
+ *   ה-instances החיים לוקחים את ה-sessions היתומים, כל אחד עד החלק ההוגן שלו
+ * - service_instances שומר את הכתובת הפנימית של כל instance, להעברת בקשות REST לבעלים
+ */
+class LeaseManager {
+  /**
+   * @param {SessionManager} sessionManager
+   */
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.instanceId = process.env.INSTANCE_ID
+      || process.env.RAILWAY_REPLICA_ID
+      || `${os.hostname()}-${crypto.randomBytes(4).toString('hex')}`;
+    this.instanceUrl = resolveInstanceUrl();
+    this.timer = null;
+    this.ticking = false;
+    this.claiming = true;
+  }
+
+  /**
+   * רישום ה-instance והפעלת חידוש ה-leases
+   */
+  async start() {
+    await this.heartbeat();
+
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => {
+        logger.error('❌ Lease maintenance failed:', error);
+      });
+    }, RENEW_INTERVAL_MS);
+
+    logger.info(`🏷️ Instance ${this.instanceId} registered (${this.instanceUrl || 'no internal URL'})`);
+  }
+
+  /**
+   * shutdown: הפסקת לקיחת sessions יתומים, בלי להפסיק לחדש את ה-leases -
+   * ה-sockets המקומיים עדיין פתוחים עד sessionManager.shutdown()
+   */
+  stopClaiming() {
+    this.claiming = false;
+  }
+
+  /**
+   * עצירת החידוש (ה-leases פגים מעצמם, או משוחררים ב-releaseAll)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * סבב תחזוקה: heartbeat, חידוש leases ולקיחת sessions יתומים
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.heartbeat();
+      await this.renew();
+      if (this.claiming) {
+        await this.sessionManager.claimOrphanedSessions();
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async heartbeat() {
+    await pool.query(
+      `INSERT INTO service_instances (instance_id, internal_url, started_at, heartbeat_at)
+       VALUES ($1, $2, NOW(), NOW())
+       ON CONFLICT (instance_id)
+       DO UPDATE SET internal_url = EXCLUDED.internal_url, heartbeat_at = NOW()`,
+      [this.instanceId, this.instanceUrl]
+    );
+
+    await pool.query(
+      `DELETE FROM service_instances WHERE heartbeat_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+      [STALE_INSTANCE_MS]
+    );
+  }
+
+  /**
+   * לקיחת lease (או חידוש lease שכבר שלנו)
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} false אם instance אחר מחזיק lease בתוקף
+   */
+  async acquire(sessionId) {
+    const { rows } = await pool.query(
+      `INSERT INTO session_leases (session_id, instance_id, acquired_at, expires_at)
+       VALUES ($1, $2, NOW(), NOW() + $3 * INTERVAL '1 millisecond')
+       ON CONFLICT (session_id) DO UPDATE
+       SET instance_id = EXCLUDED.instance_id,
+           acquired_at = CASE
+             WHEN session_leases.instance_id = EXCLUDED.instance_id THEN session_leases.acquired_at
+             ELSE NOW()
+           END,
+           expires_at = EXCLUDED.expires_at
+       WHERE session_leases.instance_id = EXCLUDED.instance_id
+       OR session_leases.expires_at <= NOW()
+       RETURNING session_id`,
+      [sessionId, this.instanceId, LEASE_TTL_MS]
+    );
+
+    return rows.length > 0;
+  }
+
+  /**
+   * חידוש ה-leases של כל ה-sessions המקומיים; sessions שה-lease שלהם אבד נסגרים מקומית
+   */
+  async renew() {
+    const sessionIds = this.sessionManager.getLocalSessionIds();
+    if (sessionIds.length === 0) return;
+
+    const { rows } = await pool.query(
+      `UPDATE session_leases
+       SET expires_at = NOW() + $3 * INTERVAL '1 millisecond'
+       WHERE instance_id = $1 AND session_id = ANY($2::text[])
+       RETURNING session_id`,
+      [this.instanceId, sessionIds, LEASE_TTL_MS]
+    );
+
+    const renewed = new Set(rows.map(row => row.session_id));
+    for (const sessionId of sessionIds) {
+      if (!renewed.has(sessionId)) {
+        logger.warn(`⚠️ Lost lease for session ${sessionId} - closing local socket`);
+        await this.sessionManager.dropSession(sessionId);
+      }
+    }
+  }
+
+  /**
+   * @param {string} sessionId
+   */
+  async release(sessionId) {
+    await pool.query(
+      'DELETE FROM session_leases WHERE session_id = $1 AND instance_id = $2',
+      [sessionId, this.instanceId]
+    );
+  }
+
+  /**
+   * שחרור כל ה-leases של ה-instance (shutdown) - instances אחרים לוקחים אותם מיד
+   */
+  async releaseAll() {
+    await pool.query('DELETE FROM session_leases WHERE instance_id = $1', [this.instanceId]);
+    await pool.query('DELETE FROM service_instances WHERE instance_id = $1', [this.instanceId]);
+  }
+
+  /**
+   * ה-instance שמחזיק כרגע ב-session
+   * @param {string} sessionId
+   * @returns {Promise<object|null>} { instanceId, url, isLocal }
+   */
+  async getOwner(sessionId) {
+    const { rows } = await pool.query(
+      `SELECT l.instance_id, i.internal_url
+       FROM session_leases l
+       LEFT JOIN service_instances i ON i.instance_id = l.instance_id
+       WHERE l.session_id = $1 AND l.expires_at > NOW()`,
+      [sessionId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      instanceId: rows[0].instance_id,
+      url: rows[0].internal_url,
+      isLocal: rows[0].instance_id === this.instanceId
+    };
+  }
+
+  /**
+   * כמה sessions היתומים ה-instance הזה צריך לקחת עכשיו -
+   * עד החלק ההוגן שלו מכל ה-sessions הפעילים, ולא יותר מ-limit בסבב
+   * @param {number} orphanCount
+   * @param {number} limit - ברירת מחדל CLAIM_BATCH_SIZE (בעלייה של השרת אין הגבלה)
+   * @returns {Promise<number>}
+   */
+  async getClaimCapacity(orphanCount, limit = CLAIM_BATCH_SIZE) {
+    const { rows } = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM service_instances
+          WHERE heartbeat_at > NOW() - $1 * INTERVAL '1 millisecond') AS instances,
+         (SELECT COUNT(*) FROM session_leases WHERE expires_at > NOW()) AS leased,
+         (SELECT COUNT(*) FROM session_leases WHERE instance_id = $2 AND expires_at > NOW()) AS mine`,
+      [LEASE_TTL_MS, this.instanceId]
+    );
+
+    const instances = Math.max(parseInt(rows[0].instances), 1);
+    const total = parseInt(rows[0].leased) + orphanCount;
+    const fairShare = Math.ceil(total / instances);
+
+    return Math.max(Math.min(fairShare - parseInt(rows[0].mine), limit), 0);
+  }
+
+  /**
+   * sessions פעילים בלי lease בתוקף (ה-instance שלהם מת, או שעוד לא שוחזרו)
+   * @returns {Promise<Array>} [{ session_id, organization_id }]
+   */
+  async findOrphanedSessions() {
+    const { rows } = await pool.query(
+      `SELECT s.session_id, s.organization_id
+       FROM whatsapp_sessions s
+       WHERE s.status IN ('connected', 'connecting')
+       AND s.auth_state IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM session_leases l
+         WHERE l.session_id = s.session_id AND l.expires_at > NOW()
+       )
+       ORDER BY s.updated_at ASC`
+    );
+    return rows;
+  }
+}
+
+export default LeaseManager;
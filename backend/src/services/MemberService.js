@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import pino from 'pino';
+import pool from '../config/database.js';
+import { ASSIGNABLE_ROLES } from '../config/permissions.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+/**
+ * יצירת שגיאה עם HTTP status
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Member Service - חברי צוות של organization והזמנות
+ *
+ * - לכל organization יש owner אחד, ו-admins / agents / read_only
+ * - הזמנה נוצרת לפי email עם token חד-פעמי (נשמר רק ה-hash),
+ *   ומתקבלת ע"י משתמש מחובר עם אותו email
+ * - אי אפשר לשנות את התפקיד של ה-owner או להסיר אותו
+ */
+class MemberService {
+  /**
+   * @param {string} token
+   * @returns {string} hex
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * חברי ה-organization (כולל email מ-auth.users)
+   * @param {string} organizationId
+   * @returns {Promise<Array>}
+   */
+  async listMembers(organizationId) {
+    const { rows } = await pool.query(
+      `SELECT m.user_id, u.email, m.role, m.invited_by, m.created_at
+       FROM organization_members m
+       LEFT JOIN auth.users u ON u.id = m.user_id
+       WHERE m.organization_id = $1
+       ORDER BY m.created_at ASC`,
+      [organizationId]
+    );
+    return rows;
+  }
+
+  /**
+   * שינוי תפקיד של חבר
+   * @param {string} organizationId
+   * @param {string} userId
+   * @param {string} role - admin | agent | read_only
+   * @returns {Promise<object>} החבר המעודכן
+   */
+  async updateRole(organizationId, userId, role) {
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw httpError(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`, 400);
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE organization_members SET role = $3
+       WHERE organization_id = $1 AND user_id = $2 AND role != 'owner'
+       RETURNING user_id, role`,
+      [organizationId, userId, role]
+    );
+
+    if (rows.length === 0) {
+      throw httpError('Member not found (the owner role cannot be changed)', 404);
+    }
+
+    logger.info(`👥 Member ${userId} in org ${organizationId} is now ${role}`);
+    return rows[0];
+  }
+
+  /**
+   * הסרת חבר מה-organization
+   * @param {string} organizationId
+   * @param {string} userId
+   */
+  async removeMember(organizationId, userId) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM organization_members
+       WHERE organization_id = $1 AND user_id = $2 AND role != 'owner'`,
+      [organizationId, userId]
+    );
+
+    if (rowCount === 0) {
+      throw httpError('Member not found (the owner cannot be removed)', 404);
+    }
+
+    logger.info(`👥 Member ${userId} removed from org ${organizationId}`);
+  }
+
+  /**
+   * יצירת הזמנה
+   * @param {string} organizationId
+   * @param {object} invitation - { email, role, invitedBy }
+   * @returns {Promise<object>} ההזמנה + token (מוחזר רק כאן)
+   */
+  async createInvitation(organizationId, { email, role = 'agent', invitedBy }) {
+    if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+      throw httpError('A valid email is required', 400);
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw httpError(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`, 400);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { rows } = await pool.query(
+      `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, LOWER($2), $3, $4, $5, NOW() + $6 * INTERVAL '1 day')
+       RETURNING id, email, role, expires_at, created_at`,
+      [organizationId, email, role, this.hashToken(token), invitedBy, INVITATION_TTL_DAYS]
+    );
+
+    logger.info(`✉️ Invitation ${rows[0].id} created for ${rows[0].email} (org ${organizationId})`);
+    return { ...rows[0], token };
+  }
+
+  /**
+   * הזמנות פתוחות של ה-organization
+   * @param {string} organizationId
+   * @returns {Promise<Array>}
+   */
+  async listInvitations(organizationId) {
+    const { rows } = await pool.query(
+      `SELECT id, email, role, invited_by, expires_at, created_at
+       FROM organization_invitations
+       WHERE organization_id = $1
+       AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [organizationId]
+    );
+    return rows;
+  }
+
+  /**
+   * ביטול הזמנה
+   * @param {string} organizationId
+   * @param {string} invitationId
+   * @returns {Promise<boolean>}
+   */
+  async revokeInvitation(organizationId, invitationId) {
+    const { rowCount } = await pool.query(
+      `UPDATE organization_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [invitationId, organizationId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * קבלת הזמנה ע"י המשתמש המחובר
+   * @param {string} token
+   * @param {object} user - { id, email } מ-verifySupabaseToken
+   * @returns {Promise<object>} { organizationId, role }
+   */
+  async acceptInvitation(token, user) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `SELECT * FROM organization_invitations
+         WHERE token_hash = $1
+         AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [this.hashToken(String(token || ''))]
+      );
+
+      const invitation = rows[0];
+      if (!invitation) {
+        throw httpError('Invitation not found or expired', 404);
+      }
+
+      if (!user.email || invitation.email !== user.email.toLowerCase()) {
+        throw httpError('This invitation was sent to a different email address', 403);
+      }
+
+      // חבר קיים שומר על התפקיד שלו
+      const { rows: members } = await client.query(
+        `INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (organization_id, user_id) DO UPDATE SET role = organization_members.role
+         RETURNING role`,
+        [invitation.organization_id, user.id, invitation.role, invitation.invited_by]
+      );
+
+      await client.query(
+        'UPDATE organization_invitations SET accepted_at = NOW(), accepted_by = $2 WHERE id = $1',
+        [invitation.id, user.id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`✅ User ${user.id} joined org ${invitation.organization_id} as ${members[0].role}`);
+      return { organizationId: invitation.organization_id, role: members[0].role };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default MemberService;
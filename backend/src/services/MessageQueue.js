@@ -1,4 +1,9 @@
+import os from 'os';
 import pino from 'pino';
+import pool from '../config/database.js';
+import { LEASE_TTL_MS } from './LeaseManager.js';
+import { jidToNumber } from '../whatsapp/MessageNormalizer.js';
+import { MEDIA_TYPES, describeContent } from '../whatsapp/OutboundContent.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
@@ -9,48 +14,222 @@ const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
  * - ~20 הודעות לדקה למספר יחיד
  * - ~1000 הודעות ליום
  *
- * Queue זה מוודא שלא נעבור את המגבלות
+ * Queue זה מוודא שלא נעבור את המגבלות.
+ *
+ * התור נשמר בטבלת message_queue, כך ש-deploy או crash לא מוחקים הודעות:
+ * queued -> sending -> sent | failed, או cancelled אם בוטל לפני השליחה.
+ * כל הודעה שנשלחה מקושרת לשורה שנוצרה עבורה בטבלת messages.
  */
 class MessageQueue {
-  constructor(sessionManager) {
+  /**
+   * @param {SessionManager} sessionManager
+   * @param {object} hooks - { onSent(item, messageRow), onFailed(item, error) } נקראים כשהודעה הגיעה למצב סופי
+   * @param {object} deps - { quotaService } מגבלת ההודעות החודשית של ה-plan
+   */
+  constructor(sessionManager, hooks = {}, { quotaService = null } = {}) {
     this.sessionManager = sessionManager;
-    this.queues = new Map(); // sessionId -> array of messages
+    this.hooks = hooks;
+    this.quotaService = quotaService;
+    this.persistence = sessionManager.persistence;
+    // נשמר ב-claimed_by של כל הודעה שנתפסה לשליחה
+    this.instanceId = sessionManager.leaseManager?.instanceId || `${os.hostname()}-${process.pid}`;
     this.processing = new Map(); // sessionId -> boolean
     this.rateLimits = {
-      messagesPerMinute: 20,
+      messagesPerMinute: parseInt(process.env.MESSAGE_RATE_LIMIT_PER_MINUTE) || 20,
       delayBetweenMessages: 3000 // 3 seconds
     };
+    this.retryDelay = 5000; // 5 seconds, כפול מספר הניסיונות
+    this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 30000;
+    this.pollTimer = null;
+    this.draining = false;
+    this.inFlight = new Set(); // שליחות שכרגע באמצע (sendMessage + markSent)
+    this.unconfirmed = new Map(); // queueId -> { item, messageRow } - נשלחו אבל markSent נכשל
     this.stats = new Map(); // sessionId -> { sent: number, lastReset: Date }
   }
 
+  /**
+   * הפעלת התור אחרי restart - ממשיך מאיפה שהפסיק
+   */
+  async start() {
+    await this.requeueInterrupted();
+    await this.processPendingSessions();
+
+    // מריץ שוב תורים של sessions שהתחברו מחדש או שיש להם retry שהגיע זמנו
+    this.pollTimer = setInterval(() => {
+      this.processPendingSessions().catch((error) => {
+        logger.error('❌ Failed to poll message queue:', error);
+      });
+    }, this.pollInterval);
+  }
+
+  /**
+   * עצירת ה-polling
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Graceful shutdown - הפסקת קבלת הודעות חדשות והמתנה לשליחות שכבר התחילו.
+   * הודעות שעוד לא נשלחו נשארות queued ב-DB וממשיכות אחרי ה-restart (או ב-instance אחר).
+   * @param {number} timeoutMs - זמן מקסימלי להמתנה
+   * @returns {Promise<boolean>} false אם נשארו שליחות באמצע (יחזרו לתור ב-requeueInterrupted)
+   */
+  async drain(timeoutMs) {
+    this.draining = true;
+    this.stop();
+
+    if (this.inFlight.size === 0) {
+      await this.confirmSent();
+      return true;
+    }
+
+    logger.info(`⏳ Waiting for ${this.inFlight.size} in-flight messages...`);
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([
+      Promise.allSettled(Array.from(this.inFlight)).then(() => true),
+      timeout
+    ]);
+    clearTimeout(timer);
+
+    await this.confirmSent();
+    return drained;
+  }
+
+  /**
+   * שגיאה לבקשות שליחה בזמן shutdown
+   */
+  assertAccepting() {
+    if (this.draining) {
+      const error = new Error('Server is shutting down, try again shortly');
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * הכנסה לתור בתוך מכסת ההודעות - הבדיקה וה-INSERT ב-transaction אחת (QuotaService.enqueueWithinQuota)
+   * @param {string} sessionId
+   * @param {number} count - כמה הודעות נכנסות
+   * @param {Function} insert - (client) => Promise
+   * @returns {Promise<any>} מה ש-insert החזירה
+   */
+  insertWithinQuota(sessionId, count, insert) {
+    return this.quotaService
+      ? this.quotaService.enqueueWithinQuota(sessionId, count, insert)
+      : insert(pool);
+  }
+
+  /**
+   * הודעות שנתקעו ב-sending (השרת נפל באמצע שליחה) חוזרות לתור.
+   * instance יחיד: נקרא רק ב-start, כך שכל מה שב-sending שייך לתהליך קודם.
+   * עם leases: רק הודעות של sessions שה-instance הזה מחזיק, שה-instance שתפס אותן (claimed_by)
+   * כבר לא שולח heartbeat - שליחות של instances חיים (כולל זה) לא נוגעים בהן
+   */
+  async requeueInterrupted() {
+    const { leaseManager } = this.sessionManager;
+    const sessionIds = leaseManager ? this.sessionManager.getLocalSessionIds() : null;
+
+    if (sessionIds && sessionIds.length === 0) {
+      return;
+    }
+
+    const { rowCount } = await pool.query(
+      `UPDATE message_queue q
+       SET status = 'queued', next_attempt_at = NOW(), claimed_by = NULL, claimed_at = NULL
+       WHERE q.status = 'sending'
+       AND ($1::text[] IS NULL OR (
+         q.session_id = ANY($1::text[])
+         AND NOT EXISTS (
+           SELECT 1 FROM service_instances i
+           WHERE i.instance_id = q.claimed_by
+           AND i.heartbeat_at > NOW() - $2 * INTERVAL '1 millisecond'
+         )
+       ))`,
+      [sessionIds, LEASE_TTL_MS]
+    );
+
+    if (rowCount > 0) {
+      logger.warn(`⚠️ Re-queued ${rowCount} messages interrupted mid-send`);
+    }
+  }
+
+  /**
+   * הפעלת processQueue לכל session מחובר שיש לו הודעות ממתינות
+   * (עם leases גם מחזיר לתור הודעות של sessions שעברו לכאן מ-instance שמת)
+   */
+  async processPendingSessions() {
+    await this.confirmSent();
+
+    if (this.sessionManager.leaseManager) {
+      await this.requeueInterrupted();
+    }
+
+    const { rows } = await pool.query(
+      `SELECT DISTINCT session_id FROM message_queue
+       WHERE status = 'queued' AND next_attempt_at <= NOW()`
+    );
+
+    for (const { session_id: sessionId } of rows) {
+      if (this.isSessionReady(sessionId) && !this.processing.get(sessionId)) {
+        this.processQueue(sessionId);
+      }
+    }
+  }
+
   /**
    * הוספת הודעה לתור
    * @param {string} sessionId
-   * @param {object} message - { jid, content, type }
+   * @param {object} message - { jid, content, type, metadata }
+   *   content: טקסט, או למדיה { url | data (base64), mimetype, fileName, caption }
    * @returns {Promise<string>} queue ID
    */
   async enqueue(sessionId, message) {
-    if (!this.queues.has(sessionId)) {
-      this.queues.set(sessionId, []);
-    }
+    const [queueId] = await this.enqueueMany(sessionId, [message]);
+    return queueId;
+  }
 
-    const queueItem = {
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      ...message,
-      enqueuedAt: new Date(),
-      attempts: 0
-    };
+  /**
+   * הוספת כמה הודעות לתור יחד (למשל טקסט + קבצים מצורפים מ-GHL) -
+   * כולן נכנסות במכסה ונשמרות, או שאף אחת לא
+   * @param {string} sessionId
+   * @param {Array<object>} messages - [{ jid, content, type, metadata }]
+   * @returns {Promise<string[]>} queue IDs, לפי הסדר
+   */
+  async enqueueMany(sessionId, messages) {
+    this.assertAccepting();
+
+    const queueIds = await this.insertWithinQuota(sessionId, messages.length, async (client) => {
+      const ids = [];
+
+      for (const { jid, content, type = 'text', metadata = {} } of messages) {
+        const { rows } = await client.query(
+          `INSERT INTO message_queue (session_id, organization_id, jid, message_type, content, metadata)
+           VALUES ($1, (SELECT organization_id FROM whatsapp_sessions WHERE session_id = $1), $2, $3, $4::jsonb, $5::jsonb)
+           RETURNING id`,
+          [sessionId, jid, type, JSON.stringify(content), JSON.stringify(metadata)]
+        );
+        ids.push(rows[0].id);
+      }
 
-    this.queues.get(sessionId).push(queueItem);
+      return ids;
+    });
 
-    logger.info(`📨 Message queued: ${queueItem.id} for session ${sessionId}. Queue size: ${this.queues.get(sessionId).length}`);
+    logger.info(`📨 Message queued: ${queueIds.join(', ')} for session ${sessionId}`);
 
     // התחל לעבד את התור אם לא כבר בעיבוד
     if (!this.processing.get(sessionId)) {
       this.processQueue(sessionId);
     }
 
-    return queueItem.id;
+    return queueIds;
   }
 
   /**
@@ -58,20 +237,21 @@ class MessageQueue {
    * @param {string} sessionId
    */
   async processQueue(sessionId) {
-    const queue = this.queues.get(sessionId);
-
-    if (!queue || queue.length === 0) {
-      this.processing.set(sessionId, false);
+    if (this.processing.get(sessionId) || this.draining) {
       return;
     }
 
     this.processing.set(sessionId, true);
-    logger.info(`🚀 Processing queue for session ${sessionId}. ${queue.length} messages pending`);
-
-    while (queue.length > 0) {
-      const message = queue[0]; // peek (don't remove yet)
+    logger.info(`🚀 Processing queue for session ${sessionId}`);
+
+    try {
+      while (!this.draining) {
+        // session לא מחובר - ההודעות נשארות בתור עד שה-polling יראה אותו מחובר
+        if (!this.isSessionReady(sessionId)) {
+          logger.info(`⏸️ Session ${sessionId} not connected. Pausing queue`);
+          break;
+        }
 
-      try {
         // בדוק rate limiting
         if (await this.shouldThrottle(sessionId)) {
           logger.warn(`⚠️ Rate limit reached for ${sessionId}. Waiting...`);
@@ -79,58 +259,205 @@ class MessageQueue {
           continue;
         }
 
-        // שלח הודעה
-        await this.sendMessage(sessionId, message);
-
-        // הצלחה - הסר מהתור
-        queue.shift();
-
-        // עדכן stats
-        this.updateStats(sessionId);
+        const item = await this.claimNext(sessionId);
+        if (!item) {
+          break;
+        }
 
-        logger.info(`✅ Message sent: ${message.id}. ${queue.length} remaining in queue`);
+        // drain מחכה לשליחה הזו לפני סגירת ה-socket
+        const delivery = this.deliver(sessionId, item);
+        this.inFlight.add(delivery);
+        const sent = await delivery.finally(() => this.inFlight.delete(delivery));
 
         // המתן בין הודעות למניעת spam
-        await this.delay(this.rateLimits.delayBetweenMessages);
-      } catch (error) {
-        logger.error(`❌ Failed to send message ${message.id}:`, error.message);
-
-        message.attempts++;
-
-        // אם עברנו 3 ניסיונות, הסר מהתור
-        if (message.attempts >= 3) {
-          logger.error(`❌ Max attempts reached for message ${message.id}. Removing from queue.`);
-          queue.shift();
-
-          // שמור ב-failed_messages (אופציונלי)
-          // await this.saveFailed(message);
-        } else {
-          // נסה שוב - העבר לסוף התור
-          queue.shift();
-          queue.push(message);
-          await this.delay(5000); // המתן 5 שניות לפני ניסיון חוזר
+        if (sent && !this.draining) {
+          await this.delay(this.rateLimits.delayBetweenMessages);
         }
       }
+    } catch (error) {
+      logger.error(`❌ Queue processing failed for session ${sessionId}:`, error);
+    } finally {
+      this.processing.set(sessionId, false);
     }
 
-    this.processing.set(sessionId, false);
     logger.info(`✅ Queue processing completed for session ${sessionId}`);
   }
 
   /**
-   * שליחת הודעה בפועל
+   * שליחת פריט שנתפס ועדכון המצב שלו בתור
+   * @param {string} sessionId
+   * @param {object} item - שורת message_queue במצב sending
+   * @returns {Promise<boolean>} האם נשלחה
+   */
+  async deliver(sessionId, item) {
+    let messageRow;
+    try {
+      // שלח הודעה
+      messageRow = await this.sendMessage(sessionId, item);
+    } catch (error) {
+      logger.error(`❌ Failed to send message ${item.id}:`, error.message);
+      await this.markAttemptFailed(item, error).catch((markError) => {
+        logger.error(`❌ Failed to update queue item ${item.id}:`, markError.message);
+      });
+      return false;
+    }
+
+    // ההודעה כבר יצאה - כישלון בעדכון התור לא מחזיר אותה לתור (זו הייתה שליחה כפולה).
+    // השורה נשארת sending ו-confirmSent מנסה שוב בסבב ה-polling הבא
+    await this.markSent(item, messageRow).catch((error) => {
+      logger.error(`❌ Message ${item.id} sent but not marked as sent:`, error.message);
+      this.unconfirmed.set(item.id, { item, messageRow });
+    });
+    this.runHook('onSent', item, messageRow);
+
+    // עדכן stats
+    this.updateStats(sessionId);
+
+    logger.info(`✅ Message sent: ${item.id}`);
+    return true;
+  }
+
+  /**
+   * ניסיון חוזר לסמן כנשלחו הודעות ש-markSent שלהן נכשל
+   */
+  async confirmSent() {
+    for (const [queueId, { item, messageRow }] of this.unconfirmed) {
+      try {
+        await this.markSent(item, messageRow);
+        this.unconfirmed.delete(queueId);
+      } catch (error) {
+        logger.error(`❌ Still unable to mark message ${queueId} as sent:`, error.message);
+        return;
+      }
+    }
+  }
+
+  /**
+   * תפיסת ההודעה הבאה בתור (FOR UPDATE SKIP LOCKED - בטוח גם עם כמה workers)
+   * @param {string} sessionId
+   * @returns {Promise<object|null>} שורת message_queue במצב sending
+   */
+  async claimNext(sessionId) {
+    const { rows } = await pool.query(
+      `UPDATE message_queue
+       SET status = 'sending', attempts = attempts + 1, claimed_by = $2, claimed_at = NOW()
+       WHERE id = (
+         SELECT id FROM message_queue
+         WHERE session_id = $1 AND status = 'queued' AND next_attempt_at <= NOW()
+         ORDER BY seq ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [sessionId, this.instanceId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * סימון הודעה כנשלחה וקישור לשורה ב-messages
+   * @param {object} item
+   * @param {object|null} messageRow
+   */
+  async markSent(item, messageRow) {
+    await pool.query(
+      `UPDATE message_queue
+       SET status = 'sent', message_id = $1, last_error = NULL, sent_at = NOW()
+       WHERE id = $2`,
+      [messageRow?.id || null, item.id]
+    );
+  }
+
+  /**
+   * טיפול בניסיון שליחה שנכשל - חזרה לתור עם השהייה, או failed אחרי max_attempts
+   * @param {object} item
+   * @param {Error} error
+   */
+  async markAttemptFailed(item, error) {
+    if (item.attempts >= item.max_attempts) {
+      logger.error(`❌ Max attempts reached for message ${item.id}. Marking as failed.`);
+
+      await pool.query(
+        `UPDATE message_queue SET status = 'failed', last_error = $1 WHERE id = $2`,
+        [error.message, item.id]
+      );
+      this.runHook('onFailed', item, error);
+      return;
+    }
+
+    const retryIn = this.retryDelay * item.attempts;
+
+    await pool.query(
+      `UPDATE message_queue
+       SET status = 'queued', last_error = $1,
+           next_attempt_at = NOW() + $2 * INTERVAL '1 millisecond'
+       WHERE id = $3`,
+      [error.message, retryIn, item.id]
+    );
+  }
+
+  /**
+   * הרצת hook בלי לעצור את התור אם הוא נכשל
+   * @param {string} name - onSent | onFailed
+   * @param {...any} args
+   */
+  runHook(name, ...args) {
+    if (!this.hooks[name]) return;
+
+    Promise.resolve()
+      .then(() => this.hooks[name](...args))
+      .catch((error) => logger.error(`❌ Queue hook ${name} failed:`, error.message));
+  }
+
+  /**
+   * שליחת הודעה בפועל ושמירתה בטבלת messages
    * @param {string} sessionId
-   * @param {object} message
+   * @param {object} item - שורת message_queue
+   * @returns {Promise<object|null>} שורת messages שנוצרה
    */
-  async sendMessage(sessionId, message) {
-    const { jid, content, type = 'text' } = message;
+  async sendMessage(sessionId, item) {
+    const { jid, content, message_type: type } = item;
 
-    if (type === 'text') {
-      await this.sessionManager.sendMessage(sessionId, jid, content);
-    } else {
-      // תמיכה בסוגי הודעות נוספים בעתיד (תמונות, וידאו, וכו')
+    if (type !== 'text' && !MEDIA_TYPES.includes(type)) {
       throw new Error(`Unsupported message type: ${type}`);
     }
+
+    const sent = await this.sessionManager.sendMessage(sessionId, jid, content, type);
+
+    const session = this.sessionManager.getSession(sessionId);
+    const isGroupMessage = jid.endsWith('@g.us');
+
+    // ההודעה כבר יצאה - כישלון בשמירה לא אמור לגרום לשליחה חוזרת
+    return await this.persistence.saveMessage({
+      sessionId,
+      organizationId: item.organization_id,
+      messageId: sent?.key?.id || item.id,
+      direction: 'outbound',
+      fromNumber: session?.phoneNumber || '',
+      toNumber: jidToNumber(jid),
+      content: describeContent(type, content),
+      // voice note נשמר כמו הודעה נכנסת: audio עם ptt
+      messageType: type === 'voice' ? 'audio' : type,
+      status: 'sent',
+      isGroupMessage,
+      groupJid: isGroupMessage ? jid : null,
+      // הודעה שנשלחה מ-GHL כבר קיימת שם - לא מסנכרנים אותה חזרה
+      ghlMessageId: item.metadata?.ghlMessageId || null,
+      syncedToGhl: item.metadata?.source === 'ghl'
+    }).catch((error) => {
+      logger.error(`❌ Message ${item.id} sent but not saved to messages:`, error.message);
+      return null;
+    });
+  }
+
+  /**
+   * האם ה-session מחובר בשרת הזה ויכול לשלוח
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  isSessionReady(sessionId) {
+    return this.sessionManager.getSession(sessionId)?.status === 'connected';
   }
 
   /**
@@ -169,34 +496,80 @@ class MessageQueue {
   }
 
   /**
-   * קבלת גודל התור לsession
+   * קבלת גודל התור לsession (הודעות שטרם נשלחו)
    * @param {string} sessionId
-   * @returns {number}
+   * @returns {Promise<number>}
+   */
+  async getQueueSize(sessionId) {
+    const { rows } = await pool.query(
+      `SELECT COUNT(*) AS count FROM message_queue
+       WHERE session_id = $1 AND status IN ('queued', 'sending')`,
+      [sessionId]
+    );
+    return parseInt(rows[0].count);
+  }
+
+  /**
+   * קבלת פריט בתור לפי ID
+   * @param {string} queueId
+   * @returns {Promise<object|null>}
+   */
+  async getItem(queueId) {
+    const { rows } = await pool.query(
+      `SELECT id, session_id, jid, message_type, status, attempts, last_error,
+              message_id, next_attempt_at, sent_at, created_at
+       FROM message_queue WHERE id = $1`,
+      [queueId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * ביטול הודעה שעדיין לא נשלחה
+   * @param {string} queueId
+   * @returns {Promise<boolean>} האם ההודעה בוטלה
    */
-  getQueueSize(sessionId) {
-    const queue = this.queues.get(sessionId);
-    return queue ? queue.length : 0;
+  async cancel(queueId) {
+    const { rowCount } = await pool.query(
+      `UPDATE message_queue SET status = 'cancelled' WHERE id = $1 AND status = 'queued'`,
+      [queueId]
+    );
+    return rowCount > 0;
   }
 
   /**
-   * ניקוי תור (למשל אם session התנתק)
+   * ניקוי תור (למשל אם session התנתק) - ההודעות מסומנות cancelled
    * @param {string} sessionId
    */
-  clearQueue(sessionId) {
-    const size = this.getQueueSize(sessionId);
-    this.queues.delete(sessionId);
-    this.processing.delete(sessionId);
-    logger.info(`🗑️ Cleared queue for session ${sessionId}. Removed ${size} messages`);
+  async clearQueue(sessionId) {
+    const { rowCount } = await pool.query(
+      `UPDATE message_queue SET status = 'cancelled' WHERE session_id = $1 AND status = 'queued'`,
+      [sessionId]
+    );
+    logger.info(`🗑️ Cleared queue for session ${sessionId}. Cancelled ${rowCount} messages`);
   }
 
   /**
    * קבלת סטטוס התור
    * @param {string} sessionId
-   * @returns {object}
+   * @returns {Promise<object>}
    */
-  getQueueStatus(sessionId) {
+  async getQueueStatus(sessionId) {
+    const { rows } = await pool.query(
+      `SELECT status, COUNT(*) AS count FROM message_queue
+       WHERE session_id = $1
+       GROUP BY status`,
+      [sessionId]
+    );
+
+    const counts = { queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+    for (const row of rows) {
+      counts[row.status] = parseInt(row.count);
+    }
+
     return {
-      size: this.getQueueSize(sessionId),
+      size: counts.queued + counts.sending,
+      counts,
       processing: this.processing.get(sessionId) || false,
       stats: this.stats.get(sessionId) || { sent: 0, lastReset: new Date() }
     };
@@ -225,26 +598,32 @@ class MessageQueue {
 
   /**
    * Bulk send - שליחה למספר מקבלים (broadcast)
+   * כל ההודעות נכנסות לתור ב-INSERT אחד, כך ש-broadcast לא נחתך באמצע
+   * (ואם הוא לא נכנס במכסה החודשית - נדחה כולו)
    * @param {string} sessionId
    * @param {Array} recipients - array of jids
-   * @param {string} content
-   * @returns {Array} queue IDs
+   * @param {string|object} content - טקסט או תוכן מדיה
+   * @param {string} type - text | image | video | audio | voice | document
+   * @returns {Promise<Array>} queue IDs
    */
-  async sendBulk(sessionId, recipients, content) {
+  async sendBulk(sessionId, recipients, content, type = 'text') {
+    this.assertAccepting();
     logger.info(`📢 Bulk send: ${recipients.length} messages for session ${sessionId}`);
 
-    const queueIds = [];
+    const { rows } = await this.insertWithinQuota(sessionId, recipients.length, client => client.query(
+      `INSERT INTO message_queue (session_id, organization_id, jid, message_type, content)
+       SELECT $1, (SELECT organization_id FROM whatsapp_sessions WHERE session_id = $1), r.jid, $4, $3::jsonb
+       FROM UNNEST($2::text[]) WITH ORDINALITY AS r(jid, position)
+       ORDER BY r.position
+       RETURNING id`,
+      [sessionId, recipients, JSON.stringify(content), type]
+    ));
 
-    for (const jid of recipients) {
-      const queueId = await this.enqueue(sessionId, {
-        jid,
-        content,
-        type: 'text'
-      });
-      queueIds.push(queueId);
+    if (!this.processing.get(sessionId)) {
+      this.processQueue(sessionId);
     }
 
-    return queueIds;
+    return rows.map(row => row.id);
   }
 }
 
@@ -0,0 +1,88 @@
+import pino from 'pino';
+import { SESSION_EVENTS } from '../whatsapp/SessionEventBus.js';
+import { toSession } from './SocketEventRelay.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Message Status Service - מעקב אחרי delivered / read של הודעות יוצאות
+ *
+ * מקבל עדכונים מ-messages.update ו-message-receipt.update של Baileys,
+ * מעדכן את messages.status (רק קדימה: sent -> delivered -> read),
+ * שולח ל-Socket.IO rooms של ה-session וה-organization ומעביר ל-GHL.
+ */
+class MessageStatusService {
+  /**
+   * @param {object} deps
+   * @param {SessionPersistence} deps.persistence
+   * @param {GHLWebhookService} deps.ghlWebhookService
+   * @param {SocketIO.Server} deps.io
+   */
+  constructor({ persistence, ghlWebhookService, io }) {
+    this.persistence = persistence;
+    this.ghlWebhookService = ghlWebhookService;
+    this.io = io;
+  }
+
+  /**
+   * הרשמה ל-message.status של כל ה-sessions
+   * @param {SessionEventBus} eventBus
+   */
+  subscribe(eventBus) {
+    eventBus.subscribe(SESSION_EVENTS.MESSAGE_STATUS, ({ sessionId, update }) =>
+      this.handleStatusUpdate(sessionId, update)
+    );
+  }
+
+  /**
+   * טיפול בעדכון סטטוס של הודעה
+   * @param {string} sessionId - מה-event (ה-session עצמו כבר לא בהכרח פתוח כאן - receipts מגיעים גם אחרי drop / החלפה)
+   * @param {object} update - { messageId, status, timestamp }
+   * @returns {Promise<object|null>} השורה המעודכנת, או null אם לא היה שינוי
+   */
+  async handleStatusUpdate(sessionId, { messageId, status, timestamp = new Date() }) {
+    const updated = await this.persistence.updateMessageStatus(sessionId, messageId, status, timestamp);
+
+    // הודעה לא מוכרת, או עדכון ישן (למשל delivered אחרי read)
+    if (!updated) {
+      return null;
+    }
+
+    logger.debug(`📬 Message ${messageId} (${sessionId}) is now ${updated.status}`);
+
+    const event = {
+      sessionId,
+      id: updated.id,
+      messageId,
+      to: updated.to_number,
+      status: updated.status,
+      deliveredAt: updated.delivered_at,
+      readAt: updated.read_at,
+      timestamp
+    };
+
+    toSession(this.io, sessionId, updated.organization_id, 'messages:read').emit('message_status', event);
+
+    if (updated.organization_id) {
+      this.ghlWebhookService.sendStatusToGHL(updated.organization_id, {
+        ...event,
+        ghlMessageId: updated.ghl_message_id
+      }).catch((error) => {
+        logger.warn(`⚠️ Failed to forward status of ${messageId} to GHL: ${error.message}`);
+      });
+
+      // הודעה שנשלחה מתוך GHL - מעדכנים גם את ההודעה בשיחה ב-GHL
+      if (updated.ghl_message_id && ['read', 'failed'].includes(updated.status)) {
+        this.ghlWebhookService.updateGHLMessageStatus(
+          updated.organization_id,
+          updated.ghl_message_id,
+          updated.status
+        ).catch(() => {});
+      }
+    }
+
+    return updated;
+  }
+}
+
+export default MessageStatusService;
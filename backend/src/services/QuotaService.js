@@ -0,0 +1,235 @@
+import pino from 'pino';
+import pool from '../config/database.js';
+import { organizationRoom } from './SocketEventRelay.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+// אחוז מהמגבלה שממנו נשלחת אזהרה (soft limit)
+const WARNING_THRESHOLD = parseFloat(process.env.QUOTA_WARNING_THRESHOLD) || 0.8;
+const UNLIMITED = -1;
+
+/**
+ * שגיאת מכסה (hard limit) - מחזירה ללקוח כמה נשאר
+ * @param {string} message
+ * @param {number} status - 403 (חשבונות) / 429 (הודעות)
+ * @param {object} quota - { type, limit, used, remaining, requested }
+ * @returns {Error}
+ */
+function quotaError(message, status, quota) {
+  const error = new Error(message);
+  error.status = status;
+  error.quota = quota;
+  return error;
+}
+
+/**
+ * Quota Service - אכיפת המגבלות של ה-plan (organizations.max_accounts / max_messages_per_month)
+ *
+ * - חשבונות: sessions פעילים (connecting / connected) - נבדק ביצירת session
+ * - הודעות: הודעות יוצאות החודש (usage_tracking.messages_sent) + הודעות שעדיין בתור.
+ *   נבדק ב-enqueue וב-sendBulk, כך ש-broadcast שלא נכנס במכסה נדחה כולו
+ * - הבדיקה וההכנסה רצות ב-transaction אחת שנועלת את שורת ה-organization (SELECT ... FOR UPDATE),
+ *   כך שבקשות מקבילות לא יכולות לעבור שתיהן את הבדיקה ויחד לחרוג מהמגבלה
+ * - -1 = ללא הגבלה
+ * - מעבר של WARNING_THRESHOLD מהמגבלה שולח quota_warning ל-room של ה-organization
+ */
+class QuotaService {
+  /**
+   * @param {object} deps
+   * @param {SessionPersistence} deps.persistence
+   * @param {SocketIO.Server} deps.io
+   */
+  constructor({ persistence, io }) {
+    this.persistence = persistence;
+    this.io = io;
+  }
+
+  /**
+   * @param {number} limit
+   * @returns {boolean}
+   */
+  isUnlimited(limit) {
+    return limit === UNLIMITED;
+  }
+
+  /**
+   * הרצת fn בתוך transaction, אחרי נעילת שורת ה-organization
+   * @param {string} lockQuery - SELECT ... FOR UPDATE של ה-organization
+   * @param {Array} params
+   * @param {Function} fn - (client, locked) => Promise; locked = false אם אין organization
+   * @returns {Promise<any>} מה ש-fn החזירה
+   */
+  async withOrganizationLock(lockQuery, params, fn) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const { rowCount } = await client.query(lockQuery, params);
+      const result = await fn(client, rowCount > 0);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * יצירת רשומת session רק אם היא נכנסת במגבלת החשבונות (בדיקה + INSERT תחת נעילה)
+   * @param {string} organizationId
+   * @param {string} sessionId
+   * @returns {Promise<object>} רשומת ה-session
+   */
+  async createSessionWithinQuota(organizationId, sessionId) {
+    return this.withOrganizationLock(
+      'SELECT id FROM organizations WHERE id = $1 FOR UPDATE',
+      [organizationId],
+      async (client) => {
+        await this.assertSessionQuota(organizationId, sessionId, client);
+        return this.persistence.createSessionRecord(sessionId, organizationId, client);
+      }
+    );
+  }
+
+  /**
+   * הכנסת count הודעות לתור רק אם הן נכנסות במכסה החודשית (בדיקה + INSERT תחת נעילה)
+   * @param {string} sessionId
+   * @param {number} count
+   * @param {Function} insert - (client) => Promise, ה-INSERT ל-message_queue
+   * @returns {Promise<any>} מה ש-insert החזירה
+   */
+  async enqueueWithinQuota(sessionId, count, insert) {
+    return this.withOrganizationLock(
+      `SELECT o.id FROM organizations o
+       JOIN whatsapp_sessions s ON s.organization_id = o.id
+       WHERE s.session_id = $1
+       FOR UPDATE OF o`,
+      [sessionId],
+      async (client, locked) => {
+        // session בלי organization - אין plan לאכוף
+        if (locked) {
+          await this.assertMessageQuota(sessionId, count, client);
+        }
+        return insert(client);
+      }
+    );
+  }
+
+  /**
+   * בדיקה שאפשר לפתוח עוד session
+   * @param {string} organizationId
+   * @param {string} sessionId - session שנוצר מחדש לא נספר פעמיים
+   * @param {object} client - pool או client של transaction
+   * @returns {Promise<object>} { type, limit, used, remaining }
+   */
+  async assertSessionQuota(organizationId, sessionId, client = pool) {
+    const { count, limit } = await this.persistence.checkAccountLimit(organizationId, sessionId, client);
+
+    if (this.isUnlimited(limit)) {
+      return { type: 'accounts', limit, used: count, remaining: null };
+    }
+
+    const quota = { type: 'accounts', limit, used: count, remaining: Math.max(limit - count, 0), requested: 1 };
+
+    if (count + 1 > limit) {
+      throw quotaError(`Account limit reached. Your plan allows ${limit} accounts`, 403, quota);
+    }
+
+    this.warnIfNearLimit(organizationId, quota, count + 1);
+    return quota;
+  }
+
+  /**
+   * שימוש ההודעות של ה-organization שה-session שייך אליו, בחודש הנוכחי
+   * (שאילתה נפרדת מהנעילה - ב-READ COMMITTED היא רואה את ההכנסות שהושלמו לפני שקיבלנו את הנעילה)
+   * @param {string} sessionId
+   * @param {object} client - pool או client של transaction
+   * @returns {Promise<object|null>} { organizationId, limit, used }
+   */
+  async getMessageUsage(sessionId, client = pool) {
+    const { rows } = await client.query(
+      `SELECT o.id AS organization_id,
+              o.max_messages_per_month AS limit,
+              COALESCE((
+                SELECT messages_sent FROM usage_tracking
+                WHERE organization_id = o.id
+                AND period_start = DATE_TRUNC('month', NOW())::date
+              ), 0) AS sent,
+              (
+                SELECT COUNT(*) FROM message_queue
+                WHERE organization_id = o.id AND status IN ('queued', 'sending')
+              ) AS pending
+       FROM whatsapp_sessions s
+       JOIN organizations o ON o.id = s.organization_id
+       WHERE s.session_id = $1`,
+      [sessionId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      organizationId: rows[0].organization_id,
+      limit: parseInt(rows[0].limit),
+      used: parseInt(rows[0].sent) + parseInt(rows[0].pending)
+    };
+  }
+
+  /**
+   * בדיקה ש-count הודעות נכנסות במכסה החודשית (לפני הכנסה לתור)
+   * @param {string} sessionId
+   * @param {number} count
+   * @param {object} client - pool או client של transaction
+   * @returns {Promise<object|null>} { type, limit, used, remaining }
+   */
+  async assertMessageQuota(sessionId, count = 1, client = pool) {
+    const usage = await this.getMessageUsage(sessionId, client);
+
+    // session בלי organization - אין plan לאכוף
+    if (!usage || this.isUnlimited(usage.limit)) {
+      return null;
+    }
+
+    const { organizationId, limit, used } = usage;
+    const quota = { type: 'messages', limit, used, remaining: Math.max(limit - used, 0), requested: count };
+
+    if (used + count > limit) {
+      throw quotaError(
+        `Monthly message limit reached. ${quota.remaining} of ${limit} messages left this month`,
+        429,
+        quota
+      );
+    }
+
+    this.warnIfNearLimit(organizationId, quota, used + count);
+    return quota;
+  }
+
+  /**
+   * אזהרה ל-dashboard כשהפעולה הנוכחית חוצה את סף האזהרה
+   * @param {string} organizationId
+   * @param {object} quota - { type, limit, used }
+   * @param {number} usedAfter - השימוש אחרי הפעולה
+   */
+  warnIfNearLimit(organizationId, { type, limit, used }, usedAfter) {
+    const threshold = limit * WARNING_THRESHOLD;
+    if (used >= threshold || usedAfter < threshold) {
+      return;
+    }
+
+    logger.warn(`⚠️ Org ${organizationId} reached ${usedAfter}/${limit} ${type}`);
+
+    this.io.to(organizationRoom(organizationId)).emit('quota_warning', {
+      type,
+      limit,
+      used: usedAfter,
+      remaining: Math.max(limit - usedAfter, 0),
+      percent: Math.round((usedAfter / limit) * 100)
+    });
+  }
+}
+
+export default QuotaService;
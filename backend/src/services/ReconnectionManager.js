@@ -1,33 +1,136 @@
+import { DisconnectReason } from '@whiskeysockets/baileys';
 import pino from 'pino';
-import SessionPersistence from '../whatsapp/SessionPersistence.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+/**
+ * מדיניות לכל DisconnectReason:
+ * - reconnect: 'immediate' (בלי backoff ובלי לספור ניסיון) | 'backoff' | false
+ * - clearState: מחיקת ה-auth state (ה-creds כבר לא תקפים)
+ * - status / message: הסטטוס שנשמר ב-DB כשלא מתחברים מחדש
+ */
+const DISCONNECT_POLICIES = {
+  // WhatsApp מבקש restart (קורה תמיד מיד אחרי סריקת QR)
+  [DisconnectReason.restartRequired]: { reconnect: 'immediate' },
+  // המשתמש התנתק מהטלפון
+  [DisconnectReason.loggedOut]: {
+    reconnect: false,
+    clearState: true,
+    status: 'disconnected',
+    message: 'Logged out'
+  },
+  // אותו session נפתח במקום אחר (instance נוסף / restart חופף) - חיבור מחדש ינתק אותו בחזרה
+  [DisconnectReason.connectionReplaced]: {
+    reconnect: false,
+    status: 'disconnected',
+    message: 'Connection replaced by another client'
+  },
+  // auth state פגום - צריך לסרוק QR מחדש
+  [DisconnectReason.badSession]: {
+    reconnect: false,
+    clearState: true,
+    status: 'error',
+    message: 'Bad session - scan the QR code again'
+  },
+  [DisconnectReason.multideviceMismatch]: {
+    reconnect: false,
+    clearState: true,
+    status: 'error',
+    message: 'Multi-device mismatch - scan the QR code again'
+  },
+  [DisconnectReason.forbidden]: {
+    reconnect: false,
+    status: 'error',
+    message: 'Forbidden by WhatsApp'
+  },
+  // timedOut / connectionLost (408), connectionClosed (428), unavailableService (503)
+  [DisconnectReason.timedOut]: { reconnect: 'backoff' },
+  [DisconnectReason.connectionClosed]: { reconnect: 'backoff' },
+  [DisconnectReason.unavailableService]: { reconnect: 'backoff' }
+};
+
+const DEFAULT_POLICY = { reconnect: 'backoff' };
+const RATE_LIMIT_STATUS = 429;
+const RATE_LIMIT_DELAY = 15 * 60 * 1000; // 15 minutes
+
 /**
  * Reconnection Manager - ניהול reconnection אוטומטי עם exponential backoff
  *
- * מטפל ב:
- * - Disconnections בגלל network issues
- * - Rate limiting של WhatsApp
- * - שגיאות זמניות
- * - Max attempts limit
+ * כל close event של session עובר דרך handleClose, שמסווג את ה-DisconnectReason:
+ * - restartRequired: חיבור מיידי
+ * - timedOut / connectionClosed / שגיאות זמניות: exponential backoff עד MAX_RECONNECT_ATTEMPTS
+ * - loggedOut / badSession / multideviceMismatch: מחיקת ה-auth state, בלי חיבור מחדש
+ * - connectionReplaced: בלי חיבור מחדש (אחרת שני ה-clients מנתקים אחד את השני)
+ * - Rate limiting (429): המתנה של 15 דקות
+ *
+ * ה-options של ה-session נשמרים ומועברים ל-createSession בכל ניסיון.
+ * שינויי סטטוס מתפרסמים דרך SessionManager.publishStatus (DB + Socket.IO).
  */
 class ReconnectionManager {
   constructor(sessionManager) {
     this.sessionManager = sessionManager;
-    this.persistence = new SessionPersistence();
+    this.persistence = sessionManager.persistence;
     this.reconnectionAttempts = new Map(); // sessionId -> attempt count
-    this.maxAttempts = 5;
-    this.baseDelay = 5000; // 5 seconds
+    this.pending = new Map(); // sessionId -> { timer, context }
+    this.maxAttempts = parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 5;
+    this.baseDelay = parseInt(process.env.RECONNECT_BASE_DELAY) || 5000; // 5 seconds
     this.maxDelay = 300000; // 5 minutes
   }
 
   /**
-   * טיפול ב-disconnection event
+   * סיווג close event לפי ה-status code
+   * @param {object} lastDisconnect - מ-connection.update של Baileys
+   * @returns {{ statusCode: number, policy: object }}
+   */
+  classify(lastDisconnect) {
+    const statusCode = lastDisconnect?.error?.output?.statusCode;
+
+    if (statusCode === RATE_LIMIT_STATUS) {
+      return { statusCode, policy: { reconnect: 'rate_limit' } };
+    }
+
+    return { statusCode, policy: DISCONNECT_POLICIES[statusCode] || DEFAULT_POLICY };
+  }
+
+  /**
+   * טיפול ב-close event (ה-session כבר הוסר מ-SessionManager.sessions)
    * @param {string} sessionId
-   * @param {object} reason - DisconnectReason from Baileys
+   * @param {object} lastDisconnect
+   * @param {object} context - { options, authState }
    */
-  async handleDisconnection(sessionId, reason) {
+  async handleClose(sessionId, lastDisconnect, context) {
+    const { statusCode, policy } = this.classify(lastDisconnect);
+    const reason = lastDisconnect?.error?.message || 'unknown';
+
+    logger.info(`Session ${sessionId} closed (${statusCode ?? 'no status'}: ${reason}). Policy: ${policy.reconnect || 'stop'}`);
+
+    if (policy.clearState) {
+      await context.authState.clearState();
+    }
+
+    switch (policy.reconnect) {
+      case 'immediate':
+        return this.scheduleReconnect(sessionId, context, 0);
+      case 'rate_limit':
+        return this.handleRateLimit(sessionId, context);
+      case 'backoff':
+        return this.handleDisconnection(sessionId, lastDisconnect, context);
+      default:
+        this.reconnectionAttempts.delete(sessionId);
+        await this.sessionManager.publishStatus(sessionId, policy.status, {
+          organizationId: context.options.organizationId,
+          reason: policy.message
+        });
+    }
+  }
+
+  /**
+   * חיבור מחדש עם exponential backoff
+   * @param {string} sessionId
+   * @param {object} reason - lastDisconnect / { error }
+   * @param {object} context - { options, authState }
+   */
+  async handleDisconnection(sessionId, reason, context) {
     const attempts = this.reconnectionAttempts.get(sessionId) || 0;
 
     logger.warn(`⚠️ Session ${sessionId} disconnected. Reason: ${reason?.error?.message || 'unknown'}`);
@@ -36,14 +139,11 @@ class ReconnectionManager {
     if (attempts >= this.maxAttempts) {
       logger.error(`❌ Max reconnection attempts (${this.maxAttempts}) reached for ${sessionId}`);
 
-      await this.persistence.updateSessionStatus(
-        sessionId,
-        'error',
-        null,
-        `Max reconnection attempts exceeded (${this.maxAttempts})`
-      );
-
       this.reconnectionAttempts.delete(sessionId);
+      await this.sessionManager.publishStatus(sessionId, 'error', {
+        organizationId: context.options.organizationId,
+        reason: `Max reconnection attempts exceeded (${this.maxAttempts})`
+      });
       return;
     }
 
@@ -61,50 +161,78 @@ class ReconnectionManager {
 
     // עדכן DB
     await this.persistence.updateReconnectAttempts(sessionId, attempts + 1);
-    await this.persistence.updateSessionStatus(sessionId, 'connecting');
+    await this.sessionManager.publishStatus(sessionId, 'connecting', {
+      organizationId: context.options.organizationId,
+      reason: reason?.error?.message
+    });
 
-    // נסה להתחבר מחדש
-    setTimeout(async () => {
-      try {
-        logger.info(`🔄 Attempting to reconnect session: ${sessionId}`);
+    this.scheduleReconnect(sessionId, context, delay);
+  }
 
-        await this.sessionManager.createSession(sessionId);
+  /**
+   * תזמון createSession עם ה-options המקוריים
+   * @param {string} sessionId
+   * @param {object} context
+   * @param {number} delay
+   */
+  scheduleReconnect(sessionId, context, delay) {
+    this.cancel(sessionId);
 
-        // הצלחה - אפס את המונה
-        this.reconnectionAttempts.delete(sessionId);
-        await this.persistence.resetReconnectAttempts(sessionId);
+    const timer = setTimeout(async () => {
+      this.pending.delete(sessionId);
 
-        logger.info(`✅ Session ${sessionId} reconnected successfully`);
+      try {
+        logger.info(`🔄 Attempting to reconnect session: ${sessionId}`);
+        // המונה מתאפס רק כשהחיבור נפתח (onConnected)
+        await this.sessionManager.createSession(sessionId, context.options);
       } catch (error) {
         logger.error(`❌ Reconnection failed for ${sessionId}:`, error.message);
-
-        // נסה שוב רקורסיבית
-        await this.handleDisconnection(sessionId, { error });
+        await this.handleDisconnection(sessionId, { error }, context);
       }
     }, delay);
+
+    this.pending.set(sessionId, { timer, context });
   }
 
   /**
    * טיפול בשגיאות rate limiting
    * @param {string} sessionId
+   * @param {object} context
    */
-  async handleRateLimit(sessionId) {
+  async handleRateLimit(sessionId, context) {
     logger.warn(`⚠️ Rate limit detected for session: ${sessionId}`);
 
-    // המתן זמן ארוך יותר במקרה של rate limiting (15 דקות)
-    const delay = 15 * 60 * 1000; // 15 minutes
+    await this.sessionManager.publishStatus(sessionId, 'connecting', {
+      organizationId: context.options.organizationId,
+      reason: 'Rate limited by WhatsApp. Waiting 15 minutes...'
+    });
 
-    await this.persistence.updateSessionStatus(
-      sessionId,
-      'connecting',
-      null,
-      'Rate limited by WhatsApp. Waiting 15 minutes...'
-    );
+    this.scheduleReconnect(sessionId, context, RATE_LIMIT_DELAY);
+  }
 
-    setTimeout(async () => {
-      logger.info(`🔄 Retrying after rate limit: ${sessionId}`);
-      await this.handleDisconnection(sessionId, { error: new Error('Rate limit recovery') });
-    }, delay);
+  /**
+   * ה-session התחבר - איפוס המונה
+   * @param {string} sessionId
+   */
+  onConnected(sessionId) {
+    this.reconnectionAttempts.delete(sessionId);
+  }
+
+  /**
+   * ביטול reconnect מתוזמן (למשל destroySession)
+   * @param {string} sessionId
+   * @returns {object|null} ה-context של ה-reconnect שבוטל
+   */
+  cancel(sessionId) {
+    const pending = this.pending.get(sessionId);
+    if (!pending) {
+      return null;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending.delete(sessionId);
+    this.reconnectionAttempts.delete(sessionId);
+    return pending.context;
   }
 
   /**
@@ -131,30 +259,16 @@ class ReconnectionManager {
    * @returns {boolean}
    */
   isReconnecting(sessionId) {
-    return this.reconnectionAttempts.has(sessionId);
+    return this.pending.has(sessionId) || this.reconnectionAttempts.has(sessionId);
   }
 
   /**
-   * ניקוי של sessions שלא הצליחו להתחבר
+   * ביטול כל ה-reconnects המתוזמנים (shutdown)
    */
-  async cleanup() {
-    logger.info('🧹 Cleaning up failed reconnection attempts...');
-
-    const failedSessions = [];
-
-    for (const [sessionId, attempts] of this.reconnectionAttempts.entries()) {
-      if (attempts >= this.maxAttempts) {
-        failedSessions.push(sessionId);
-      }
+  cancelAll() {
+    for (const sessionId of Array.from(this.pending.keys())) {
+      this.cancel(sessionId);
     }
-
-    for (const sessionId of failedSessions) {
-      logger.warn(`🗑️ Removing failed session: ${sessionId}`);
-      this.reconnectionAttempts.delete(sessionId);
-      await this.persistence.updateSessionStatus(sessionId, 'error', null, 'Failed to reconnect');
-    }
-
-    logger.info(`✅ Cleanup completed. Removed ${failedSessions.length} failed sessions`);
   }
 }
 
@@ -0,0 +1,94 @@
+import { SESSION_EVENTS } from '../whatsapp/SessionEventBus.js';
+import { generateQRDataURL } from '../whatsapp/QRGenerator.js';
+
+/**
+ * לכל permission יש rooms נפרדים, כך שאירוע מגיע רק ל-sockets שמורשים לראות אותו:
+ * - sessions:read - סטטוס חיבור, עדכוני קבוצות, quota_warning
+ * - sessions:manage - QR ו-pairing code (מאפשרים להתחבר למספר)
+ * - messages:read - new_message, message_status
+ */
+const PERMISSION_ROOMS = {
+  'sessions:read': '',
+  'sessions:manage': ':manage',
+  'messages:read': ':messages'
+};
+
+export const ROOM_PERMISSIONS = Object.keys(PERMISSION_ROOMS);
+
+/**
+ * room של organization - dashboard מקבל אירועים מכל המספרים שלה
+ * @param {string} organizationId
+ * @param {string} permission - אחד מ-ROOM_PERMISSIONS
+ * @returns {string}
+ */
+export function organizationRoom(organizationId, permission = 'sessions:read') {
+  return `org:${organizationId}${PERMISSION_ROOMS[permission]}`;
+}
+
+/**
+ * room של session (join_session)
+ * @param {string} sessionId - session_id תקין (validateSessionId), כך שאין התנגשות בין rooms
+ * @param {string} permission - אחד מ-ROOM_PERMISSIONS
+ * @returns {string}
+ */
+export function sessionRoom(sessionId, permission = 'sessions:read') {
+  return `session:${sessionId}${PERMISSION_ROOMS[permission]}`;
+}
+
+/**
+ * יעד לאירוע של session: ה-room של ה-session + ה-room של ה-organization, של ה-permission הנדרש
+ * (socket שנמצא בשניהם מקבל את האירוע פעם אחת)
+ * @param {SocketIO.Server} io
+ * @param {string} sessionId
+ * @param {string} organizationId
+ * @param {string} permission - ה-permission שנדרש כדי לקבל את האירוע
+ */
+export function toSession(io, sessionId, organizationId, permission = 'sessions:read') {
+  const target = io.to(sessionRoom(sessionId, permission));
+  return organizationId ? target.to(organizationRoom(organizationId, permission)) : target;
+}
+
+/**
+ * Socket Event Relay - העברת אירועי session ל-Socket.IO rooms של ה-session וה-organization
+ *
+ * new_message ו-message_status נשלחים ע"י InboundMessageService / MessageStatusService
+ * (אחרי השמירה ב-DB, עם ה-id והמדיה), כאן רק QR / pairing code, סטטוס חיבור ועדכוני קבוצות.
+ */
+class SocketEventRelay {
+  /**
+   * @param {object} deps
+   * @param {SocketIO.Server} deps.io
+   */
+  constructor({ io }) {
+    this.io = io;
+  }
+
+  /**
+   * @param {SessionEventBus} eventBus
+   */
+  subscribe(eventBus) {
+    eventBus.subscribe(SESSION_EVENTS.QR, async ({ sessionId, organizationId, qr, expiresAt }) => {
+      const qrDataURL = await generateQRDataURL(qr);
+      toSession(this.io, sessionId, organizationId, 'sessions:manage').emit('qr_updated', { sessionId, qr: qrDataURL, expiresAt });
+    });
+
+    eventBus.subscribe(SESSION_EVENTS.PAIRING_CODE, ({ sessionId, organizationId, code, expiresAt }) => {
+      toSession(this.io, sessionId, organizationId, 'sessions:manage').emit('pairing_code_updated', { sessionId, code, expiresAt });
+    });
+
+    eventBus.subscribe(SESSION_EVENTS.STATUS, ({ sessionId, organizationId, status, phoneNumber, reason }) => {
+      toSession(this.io, sessionId, organizationId).emit('connection_status', {
+        sessionId,
+        status,
+        phoneNumber,
+        reason
+      });
+    });
+
+    eventBus.subscribe(SESSION_EVENTS.GROUP_UPDATED, ({ sessionId, organizationId, updates }) => {
+      toSession(this.io, sessionId, organizationId).emit('groups_updated', { sessionId, updates });
+    });
+  }
+}
+
+export default SocketEventRelay;
@@ -0,0 +1,107 @@
+import pino from 'pino';
+import pool from '../config/database.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.USAGE_FLUSH_INTERVAL_MS) || 60000;
+
+/**
+ * Usage Service - מילוי העמודות של usage_tracking שה-trigger של messages לא ממלא
+ *
+ * - api_calls: כל בקשת REST מאומתת (JWT או API key) נספרת בזיכרון ונכתבת ב-batch כל FLUSH_INTERVAL_MS
+ * - active_sessions: השיא החודשי של sessions מחוברים לכל organization (נדגם באותו interval,
+ *   לפי ה-DB, כך שזה נכון גם עם כמה instances)
+ *
+ * messages_sent / messages_received ממשיכים להתעדכן ע"י track_message_usage.
+ */
+class UsageService {
+  constructor() {
+    this.apiCalls = new Map(); // organizationId -> count שעוד לא נכתב
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.flush().catch((error) => {
+        logger.error('❌ Failed to flush usage:', error);
+      });
+    }, FLUSH_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Express middleware - סופר את הבקשה אחרי שה-route אימת אותה (req.organization)
+   * בקשה שהועברה מ-instance אחר נספרת רק ב-instance שקיבל אותה
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!req.headers['x-forwarded-instance']) {
+        res.on('finish', () => {
+          if (req.organization) {
+            this.trackApiCall(req.organization.id);
+          }
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * @param {string} organizationId
+   */
+  trackApiCall(organizationId) {
+    this.apiCalls.set(organizationId, (this.apiCalls.get(organizationId) || 0) + 1);
+  }
+
+  /**
+   * כתיבת ה-api_calls שנצברו ודגימת ה-sessions המחוברים
+   */
+  async flush() {
+    const pending = Array.from(this.apiCalls.entries());
+    this.apiCalls.clear();
+
+    if (pending.length > 0) {
+      try {
+        await pool.query(
+          `INSERT INTO usage_tracking (organization_id, period_start, period_end, api_calls)
+           SELECT p.organization_id,
+                  DATE_TRUNC('month', NOW())::date,
+                  (DATE_TRUNC('month', NOW()) + INTERVAL '1 month' - INTERVAL '1 day')::date,
+                  p.calls
+           FROM UNNEST($1::uuid[], $2::int[]) AS p(organization_id, calls)
+           ON CONFLICT (organization_id, period_start)
+           DO UPDATE SET api_calls = usage_tracking.api_calls + EXCLUDED.api_calls, updated_at = NOW()`,
+          [pending.map(([organizationId]) => organizationId), pending.map(([, calls]) => calls)]
+        );
+      } catch (error) {
+        // הספירה חוזרת לזיכרון ונכתבת בסבב הבא
+        for (const [organizationId, calls] of pending) {
+          this.apiCalls.set(organizationId, (this.apiCalls.get(organizationId) || 0) + calls);
+        }
+        throw error;
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO usage_tracking (organization_id, period_start, period_end, active_sessions)
+       SELECT organization_id,
+              DATE_TRUNC('month', NOW())::date,
+              (DATE_TRUNC('month', NOW()) + INTERVAL '1 month' - INTERVAL '1 day')::date,
+              COUNT(*)
+       FROM whatsapp_sessions
+       WHERE status = 'connected' AND organization_id IS NOT NULL
+       GROUP BY organization_id
+       ON CONFLICT (organization_id, period_start)
+       DO UPDATE SET active_sessions = GREATEST(usage_tracking.active_sessions, EXCLUDED.active_sessions),
+                     updated_at = NOW()`
+    );
+  }
+}
+
+export default UsageService;
@@ -1,20 +1,590 @@
 import axios from 'axios';
+import pino from 'pino';
 
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const DEFAULT_BASE_URL = 'https://services.leadconnectorhq.com';
+const API_VERSION = '2021-07-28';
+// ה-endpoints של Conversations עדיין דורשים את הגרסה הישנה
+const CONVERSATIONS_API_VERSION = '2021-04-15';
+
+/**
+ * שגיאה כללית מ-GHL API
+ * status - HTTP status (undefined אם לא התקבלה תשובה)
+ * details - ה-body שחזר מ-GHL
+ */
+export class GHLError extends Error {
+  constructor(message, { status, details = null, method = null, path = null } = {}) {
+    super(message);
+    this.name = 'GHLError';
+    this.status = status;
+    this.details = details;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+/** 401 / 403 - token לא תקף או חסר scope */
+export class GHLAuthError extends GHLError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GHLAuthError';
+  }
+}
+
+/** 404 - contact / conversation / opportunity לא קיים */
+export class GHLNotFoundError extends GHLError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GHLNotFoundError';
+  }
+}
+
+/** 400 / 422 - payload לא תקין */
+export class GHLValidationError extends GHLError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GHLValidationError';
+  }
+}
+
+/** 429 - חריגה ממגבלת הבקשות (גם אחרי retries) */
+export class GHLRateLimitError extends GHLError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, options);
+    this.name = 'GHLRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * המרת שגיאת axios לשגיאה מטיפוס מתאים
+ * @param {Error} error
+ * @param {string} method
+ * @param {string} path
+ * @param {number} retryAfter - ms
+ * @returns {GHLError}
+ */
+function toGHLError(error, method, path, retryAfter = null) {
+  const status = error.response?.status;
+  const details = error.response?.data || null;
+  const apiMessage = Array.isArray(details?.message) ? details.message.join(', ') : details?.message;
+  const message = `GHL ${method} ${path} failed${status ? ` (${status})` : ''}: ${apiMessage || error.message}`;
+  const options = { status, details, method, path };
+
+  if (status === 401 || status === 403) return new GHLAuthError(message, options);
+  if (status === 404) return new GHLNotFoundError(message, options);
+  if (status === 400 || status === 422) return new GHLValidationError(message, options);
+  if (status === 429) return new GHLRateLimitError(message, { ...options, retryAfter });
+  return new GHLError(message, options);
+}
+
+/**
+ * GHL Service - client ל-LeadConnector API v2
+ *
+ * - contacts: חיפוש, upsert, tags, custom fields
+ * - conversations + messages (כולל עדכון סטטוס והודעות נכנסות של Conversation Provider)
+ * - notes ו-opportunities
+ *
+ * כל בקשה עוברת דרך request(), שמטפלת ב:
+ * - headers של rate limit (x-ratelimit-*) - נשמרים ב-this.rateLimit
+ * - 429: המתנה לפי retry-after / חלון ה-rate limit וניסיון חוזר
+ * - 5xx / network ב-GET: ניסיון חוזר עם backoff (POST / PUT לא חוזרים כדי לא ליצור כפילויות)
+ * - 401 עם tokenProvider: חידוש ה-OAuth token וניסיון חוזר אחד
+ * - המרת שגיאות ל-GHLError ותתי-המחלקות שלה
+ *
+ * ה-base URL נלקח מ-GHL_API_BASE_URL (או baseURL ב-constructor), כך שאפשר
+ * להריץ מול mock server מקומי.
+ */
 class GHLService {
-  constructor(apiKey, locationId) {
-    this.apiKey = apiKey;
+  /**
+   * @param {object} options
+   * @param {string} options.accessToken - private integration token (token קבוע)
+   * @param {Function} options.tokenProvider - ({ forceRefresh }) => Promise<string>, ל-OAuth tokens שמתחדשים
+   * @param {string} options.locationId
+   * @param {string} options.baseURL
+   * @param {number} options.maxRetries
+   * @param {number} options.timeout - ms
+   */
+  constructor({ accessToken, tokenProvider, locationId, baseURL, maxRetries = 3, timeout = 15000 } = {}) {
+    this.accessToken = accessToken;
+    this.tokenProvider = tokenProvider;
     this.locationId = locationId;
-    this.baseURL = 'https://rest.gohighlevel.com/v1';
+    this.baseURL = (baseURL || process.env.GHL_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.maxRetries = maxRetries;
+    this.retryDelay = 1000;
+    this.rateLimit = {
+      max: null,
+      remaining: null,
+      intervalMs: null,
+      dailyMax: null,
+      dailyRemaining: null
+    };
+
+    this.http = axios.create({ baseURL: this.baseURL, timeout });
+  }
+
+  /**
+   * עדכון מצב ה-rate limit מה-headers של התשובה
+   * @param {object} headers
+   */
+  updateRateLimit(headers = {}) {
+    const read = (name) => {
+      const value = parseInt(headers[name]);
+      return Number.isNaN(value) ? null : value;
+    };
+
+    this.rateLimit = {
+      max: read('x-ratelimit-max') ?? this.rateLimit.max,
+      remaining: read('x-ratelimit-remaining') ?? this.rateLimit.remaining,
+      intervalMs: read('x-ratelimit-interval-milliseconds') ?? this.rateLimit.intervalMs,
+      dailyMax: read('x-ratelimit-limit-daily') ?? this.rateLimit.dailyMax,
+      dailyRemaining: read('x-ratelimit-daily-remaining') ?? this.rateLimit.dailyRemaining
+    };
+  }
+
+  /**
+   * כמה זמן לחכות לפני ניסיון חוזר אחרי 429
+   * @param {object} headers
+   * @param {number} attempt
+   * @returns {number} ms
+   */
+  getRetryAfter(headers = {}, attempt = 0) {
+    const retryAfter = parseFloat(headers['retry-after']);
+    if (!Number.isNaN(retryAfter)) {
+      return retryAfter * 1000;
+    }
+
+    return this.rateLimit.intervalMs || this.retryDelay * Math.pow(2, attempt);
+  }
+
+  /**
+   * בקשה ל-GHL API
+   * @param {string} method
+   * @param {string} path
+   * @param {object} options - { params, data, version }
+   * @returns {Promise<object>} response body
+   */
+  async request(method, path, { params, data, version = API_VERSION } = {}) {
+    let forceRefresh = false;
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const accessToken = this.tokenProvider
+        ? await this.tokenProvider({ forceRefresh })
+        : this.accessToken;
+      forceRefresh = false;
+
+      if (!accessToken) {
+        throw new GHLAuthError('GHL access token not configured', { method, path });
+      }
+
+      try {
+        const response = await this.http.request({
+          method,
+          url: path,
+          params,
+          data,
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Version': version,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+          }
+        });
+
+        this.updateRateLimit(response.headers);
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        this.updateRateLimit(error.response?.headers);
+
+        const canRetry = attempt < this.maxRetries;
+        const isIdempotent = method === 'GET' || method === 'DELETE';
+
+        // OAuth token שבוטל / פג לפני הזמן - מחדשים פעם אחת ומנסים שוב
+        if (status === 401 && this.tokenProvider && !refreshed) {
+          refreshed = forceRefresh = true;
+          continue;
+        }
+
+        if (status === 429) {
+          const delay = this.getRetryAfter(error.response.headers, attempt);
+
+          if (canRetry) {
+            logger.warn(`⏳ GHL rate limit hit on ${method} ${path} - retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
+          }
+
+          throw toGHLError(error, method, path, delay);
+        }
+
+        if (canRetry && isIdempotent && (!status || status >= 500)) {
+          const delay = this.retryDelay * Math.pow(2, attempt);
+          logger.warn(`🔄 GHL ${method} ${path} failed (${status || error.code}) - retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        throw toGHLError(error, method, path);
+      }
+    }
+  }
+
+  /**
+   * מעבר על כל העמודים של endpoint עם pagination
+   * @param {Function} fetchPage - (cursor) => Promise<{ items, next }>; next = null בעמוד האחרון
+   * @yields {object} פריט אחד בכל פעם
+   */
+  async *paginate(fetchPage) {
+    let cursor = null;
+
+    do {
+      const { items, next } = await fetchPage(cursor);
+      for (const item of items) {
+        yield item;
+      }
+      cursor = items.length > 0 ? next : null;
+    } while (cursor);
+  }
+
+  // ===================== Locations =====================
+
+  /**
+   * ה-location של ה-client (נכשל עם GHLAuthError / GHLNotFoundError אם ה-token לא שייך ל-location)
+   * @returns {Promise<object>} location
+   */
+  async getLocation() {
+    const data = await this.request('GET', `/locations/${this.locationId}`);
+    return data.location;
+  }
+
+  // ===================== Contacts =====================
+
+  /**
+   * @param {string} contactId
+   * @returns {Promise<object>} contact
+   */
+  async getContact(contactId) {
+    const data = await this.request('GET', `/contacts/${contactId}`);
+    return data.contact;
+  }
+
+  /**
+   * חיפוש contacts (עמוד אחד)
+   * @param {object} options - { query, filters, pageLimit, searchAfter }
+   * @returns {Promise<object>} { contacts, total }
+   */
+  async searchContacts({ query, filters, pageLimit = 100, searchAfter } = {}) {
+    return this.request('POST', '/contacts/search', {
+      data: {
+        locationId: this.locationId,
+        pageLimit,
+        ...(query && { query }),
+        ...(filters && { filters }),
+        ...(searchAfter && { searchAfter })
+      }
+    });
+  }
+
+  /**
+   * כל ה-contacts שמתאימים לחיפוש
+   * @param {object} options - { query, filters, pageLimit }
+   * @yields {object} contact
+   */
+  iterateContacts(options = {}) {
+    return this.paginate(async (searchAfter) => {
+      const { contacts = [] } = await this.searchContacts({ ...options, searchAfter });
+      const last = contacts[contacts.length - 1];
+      return { items: contacts, next: last?.searchAfter || null };
+    });
+  }
+
+  /**
+   * מציאת contact לפי טלפון (בדיקת כפילויות של GHL)
+   * @param {string} phone - E.164
+   * @returns {Promise<object|null>} contact
+   */
+  async findContactByPhone(phone) {
+    const data = await this.request('GET', '/contacts/search/duplicate', {
+      params: { locationId: this.locationId, number: phone }
+    });
+    return data.contact || null;
+  }
+
+  /**
+   * יצירה או עדכון של contact (GHL מזהה לפי טלפון / email)
+   * @param {object} contact - { phone, name, firstName, lastName, email, tags, customFields, source }
+   * @returns {Promise<object>} { contact, new }
+   */
+  async upsertContact(contact) {
+    return this.request('POST', '/contacts/upsert', {
+      data: { locationId: this.locationId, ...contact }
+    });
+  }
+
+  /**
+   * @param {string} contactId
+   * @param {object} updates
+   * @returns {Promise<object>} contact
+   */
+  async updateContact(contactId, updates) {
+    const data = await this.request('PUT', `/contacts/${contactId}`, { data: updates });
+    return data.contact;
+  }
+
+  /**
+   * @param {string} contactId
+   * @param {string[]} tags
+   * @returns {Promise<string[]>} ה-tags של ה-contact אחרי העדכון
+   */
+  async addContactTags(contactId, tags) {
+    const data = await this.request('POST', `/contacts/${contactId}/tags`, { data: { tags } });
+    return data.tags;
+  }
+
+  /**
+   * @param {string} contactId
+   * @param {string[]} tags
+   * @returns {Promise<string[]>} ה-tags של ה-contact אחרי העדכון
+   */
+  async removeContactTags(contactId, tags) {
+    const data = await this.request('DELETE', `/contacts/${contactId}/tags`, { data: { tags } });
+    return data.tags;
+  }
+
+  /**
+   * הגדרות ה-custom fields של ה-location
+   * @returns {Promise<Array>} [{ id, name, fieldKey, dataType }]
+   */
+  async getCustomFields() {
+    const data = await this.request('GET', `/locations/${this.locationId}/customFields`);
+    return data.customFields || [];
+  }
+
+  /**
+   * עדכון ערכי custom fields של contact
+   * @param {string} contactId
+   * @param {object} values - { [fieldId או fieldKey]: value }
+   * @returns {Promise<object>} contact
+   */
+  async setContactCustomFields(contactId, values) {
+    const customFields = Object.entries(values).map(([field, value]) => (
+      field.startsWith('contact.')
+        ? { key: field.slice('contact.'.length), field_value: value }
+        : { id: field, field_value: value }
+    ));
+
+    return this.updateContact(contactId, { customFields });
+  }
+
+  // ===================== Conversations & Messages =====================
+
+  /**
+   * @param {object} options - { contactId, query, limit, startAfterDate }
+   * @returns {Promise<object>} { conversations, total }
+   */
+  async searchConversations({ contactId, query, limit = 20, startAfterDate } = {}) {
+    return this.request('GET', '/conversations/search', {
+      params: { locationId: this.locationId, contactId, query, limit, startAfterDate },
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  /**
+   * @param {string} contactId
+   * @returns {Promise<object>} conversation
+   */
+  async createConversation(contactId) {
+    const data = await this.request('POST', '/conversations', {
+      data: { locationId: this.locationId, contactId },
+      version: CONVERSATIONS_API_VERSION
+    });
+    return data.conversation;
+  }
+
+  /**
+   * ה-conversation של contact - נוצר אם לא קיים
+   * @param {string} contactId
+   * @returns {Promise<object>} conversation
+   */
+  async getOrCreateConversation(contactId) {
+    const { conversations = [] } = await this.searchConversations({ contactId, limit: 1 });
+    return conversations[0] || this.createConversation(contactId);
+  }
+
+  /**
+   * הודעות של conversation (עמוד אחד)
+   * @param {string} conversationId
+   * @param {object} options - { limit, lastMessageId }
+   * @returns {Promise<object>} { messages, lastMessageId, nextPage }
+   */
+  async getMessages(conversationId, { limit = 100, lastMessageId } = {}) {
+    const data = await this.request('GET', `/conversations/${conversationId}/messages`, {
+      params: { limit, lastMessageId },
+      version: CONVERSATIONS_API_VERSION
+    });
+    return data.messages;
+  }
+
+  /**
+   * כל ההודעות של conversation
+   * @param {string} conversationId
+   * @param {object} options - { limit }
+   * @yields {object} message
+   */
+  iterateMessages(conversationId, options = {}) {
+    return this.paginate(async (lastMessageId) => {
+      const page = await this.getMessages(conversationId, { ...options, lastMessageId });
+      return {
+        items: page?.messages || [],
+        next: page?.nextPage ? page.lastMessageId : null
+      };
+    });
+  }
+
+  /**
+   * שליחת הודעה יוצאת דרך GHL
+   * @param {object} message - { type, contactId, message, attachments, conversationProviderId }
+   * @returns {Promise<object>} { conversationId, messageId }
+   */
+  async sendMessage(message) {
+    return this.request('POST', '/conversations/messages', {
+      data: message,
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  /**
+   * הוספת הודעה נכנסת ל-conversation (Conversation Provider)
+   * @param {object} message - { type, contactId, conversationId, conversationProviderId, message, attachments, date }
+   * @returns {Promise<object>} { conversationId, messageId }
+   */
+  async addInboundMessage(message) {
+    return this.request('POST', '/conversations/messages/inbound', {
+      data: message,
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  /**
+   * עדכון סטטוס של הודעה (delivered / read / failed / pending)
+   * @param {string} messageId - ה-id של ההודעה ב-GHL
+   * @param {string} status
+   * @param {string} errorMessage
+   * @returns {Promise<object>}
+   */
+  async updateMessageStatus(messageId, status, errorMessage = null) {
+    return this.request('PUT', `/conversations/messages/${messageId}/status`, {
+      data: {
+        status,
+        ...(errorMessage && { error: { code: '1', type: 'saas', message: errorMessage } })
+      },
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  // ===================== Notes =====================
+
+  /**
+   * @param {string} contactId
+   * @returns {Promise<Array>} notes
+   */
+  async getNotes(contactId) {
+    const data = await this.request('GET', `/contacts/${contactId}/notes`);
+    return data.notes || [];
+  }
+
+  /**
+   * @param {string} contactId
+   * @param {string} body
+   * @param {string} userId - המשתמש ב-GHL שהפתק יירשם על שמו (אופציונלי)
+   * @returns {Promise<object>} note
+   */
+  async createNote(contactId, body, userId = undefined) {
+    const data = await this.request('POST', `/contacts/${contactId}/notes`, {
+      data: { body, userId }
+    });
+    return data.note;
+  }
+
+  // ===================== Opportunities =====================
+
+  /**
+   * @returns {Promise<Array>} pipelines עם ה-stages שלהם
+   */
+  async getPipelines() {
+    const data = await this.request('GET', '/opportunities/pipelines', {
+      params: { locationId: this.locationId }
+    });
+    return data.pipelines || [];
+  }
+
+  /**
+   * חיפוש opportunities (עמוד אחד)
+   * @param {object} filters - { contactId, pipelineId, stageId, status, q, limit, startAfter, startAfterId }
+   * @returns {Promise<object>} { opportunities, meta }
+   */
+  async searchOpportunities({ contactId, pipelineId, stageId, status, q, limit = 100, startAfter, startAfterId } = {}) {
+    return this.request('GET', '/opportunities/search', {
+      params: {
+        location_id: this.locationId,
+        contact_id: contactId,
+        pipeline_id: pipelineId,
+        pipeline_stage_id: stageId,
+        status,
+        q,
+        limit,
+        startAfter,
+        startAfterId
+      }
+    });
+  }
+
+  /**
+   * כל ה-opportunities שמתאימים לחיפוש
+   * @param {object} filters
+   * @yields {object} opportunity
+   */
+  iterateOpportunities(filters = {}) {
+    return this.paginate(async (cursor) => {
+      const { opportunities = [], meta = {} } = await this.searchOpportunities({ ...filters, ...cursor });
+      return {
+        items: opportunities,
+        next: meta.nextPageUrl ? { startAfter: meta.startAfter, startAfterId: meta.startAfterId } : null
+      };
+    });
+  }
+
+  /**
+   * @param {object} opportunity - { pipelineId, pipelineStageId, contactId, name, status, monetaryValue }
+   * @returns {Promise<object>} opportunity
+   */
+  async createOpportunity(opportunity) {
+    const data = await this.request('POST', '/opportunities/', {
+      data: { locationId: this.locationId, status: 'open', ...opportunity }
+    });
+    return data.opportunity;
   }
 
-  async createContact(phoneNumber, name) {
-    // TODO: Implement GHL API call
-    console.log('Creating contact in GHL:', phoneNumber, name);
+  /**
+   * @param {string} opportunityId
+   * @param {object} updates
+   * @returns {Promise<object>} opportunity
+   */
+  async updateOpportunity(opportunityId, updates) {
+    const data = await this.request('PUT', `/opportunities/${opportunityId}`, { data: updates });
+    return data.opportunity;
   }
 
-  async syncMessage(messageData) {
-    // TODO: Implement message sync
-    console.log('Syncing message to GHL:', messageData);
+  /**
+   * @param {string} opportunityId
+   * @param {string} status - open | won | lost | abandoned
+   * @returns {Promise<object>}
+   */
+  async updateOpportunityStatus(opportunityId, status) {
+    return this.request('PUT', `/opportunities/${opportunityId}/status`, { data: { status } });
   }
 }
 
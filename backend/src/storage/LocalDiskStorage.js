@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import pino from 'pino';
+import { mimetypeForKey } from './mediaTypes.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Local Disk Storage - שמירת קבצי מדיה בתיקייה מקומית
+ * מתאים לפיתוח או לשרת עם volume קבוע (ב-Railway בלי volume הקבצים נמחקים ב-deploy)
+ */
+class LocalDiskStorage {
+  constructor({ basePath = process.env.MEDIA_STORAGE_PATH || './media' } = {}) {
+    this.driver = 'local';
+    this.basePath = path.resolve(basePath);
+
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true });
+    }
+  }
+
+  /**
+   * נתיב מלא לקובץ - חוסם path traversal (../)
+   * @param {string} key
+   * @returns {string}
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.basePath, key);
+    if (!filePath.startsWith(this.basePath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * שמירת קובץ
+   * @param {string} key
+   * @param {Buffer} buffer
+   * @returns {Promise<{ key: string, size: number }>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    logger.debug(`💾 Stored media locally: ${key}`);
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * קריאת קובץ כ-stream
+   * @param {string} key
+   * @returns {Promise<{ stream: ReadableStream, size: number, mimetype: string }|null>}
+   */
+  async get(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      const stat = await fs.promises.stat(filePath);
+      return {
+        stream: fs.createReadStream(filePath),
+        size: stat.size,
+        mimetype: mimetypeForKey(key)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * מחיקת קובץ
+   * @param {string} key
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+export default LocalDiskStorage;
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import pino from 'pino';
+import LocalDiskStorage from './LocalDiskStorage.js';
+import S3Storage from './S3Storage.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Media Storage - שכבת אחסון לקבצים מצורפים
+ *
+ * כל driver מממש את אותו ממשק:
+ * - put(key, buffer, { mimetype }) -> { key, size }
+ * - get(key) -> { stream, size, mimetype } | null
+ * - delete(key)
+ *
+ * ה-driver נבחר לפי MEDIA_STORAGE_DRIVER (local | s3).
+ * ה-keys תמיד מתחילים ב-organization_id, והקישורים להורדה חתומים עם HMAC
+ * ומוגבלים בזמן, כך שאי אפשר לנחש קישור לקובץ של organization אחר.
+ */
+
+const DEFAULT_URL_TTL = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 7 * 24 * 60 * 60; // 7 ימים
+
+let signingSecret = process.env.MEDIA_SIGNING_SECRET;
+if (!signingSecret) {
+  logger.warn('⚠️ MEDIA_SIGNING_SECRET not configured - media URLs will stop working after restart');
+  signingSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * יצירת ה-driver לפי ה-env
+ * @returns {LocalDiskStorage|S3Storage}
+ */
+export function createMediaStorage() {
+  const driver = process.env.MEDIA_STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return new LocalDiskStorage();
+    case 's3':
+      return new S3Storage();
+    default:
+      throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+/**
+ * בניית key לקובץ מדיה של הודעה
+ * @param {string} organizationId
+ * @param {string} sessionId
+ * @param {string} messageId - message_id של WhatsApp
+ * @param {string} extension
+ * @returns {string}
+ */
+export function buildMediaKey(organizationId, sessionId, messageId, extension) {
+  const safe = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `${safe(organizationId || 'unassigned')}/${safe(sessionId)}/${safe(messageId)}.${extension}`;
+}
+
+/**
+ * חתימת HMAC על organization + key + תוקף
+ * @param {string} organizationId
+ * @param {string} key
+ * @param {number} expires - unix seconds
+ * @returns {string}
+ */
+function sign(organizationId, key, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${organizationId}:${key}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * יצירת קישור חתום להורדת קובץ
+ * @param {string} key - key מ-buildMediaKey (החלק הראשון הוא ה-organization)
+ * @param {object} options - { ttlSeconds, absolute } (absolute = עם PUBLIC_BASE_URL, לשימוש חיצוני כמו GHL)
+ * @returns {string}
+ */
+export function createSignedMediaUrl(key, { ttlSeconds = DEFAULT_URL_TTL, absolute = false } = {}) {
+  const organizationId = key.slice(0, key.indexOf('/'));
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = sign(organizationId, key, expires);
+  const path = `/api/media/${key}?expires=${expires}&signature=${signature}`;
+
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+  return absolute && baseUrl ? `${baseUrl}${path}` : path;
+}
+
+/**
+ * בדיקת חתימה של קישור הורדה
+ * @param {string} organizationId
+ * @param {string} key
+ * @param {string|number} expires
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export function verifyMediaSignature(organizationId, key, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(organizationId, key, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
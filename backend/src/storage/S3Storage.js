@@ -0,0 +1,81 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import pino from 'pino';
+import { mimetypeForKey } from './mediaTypes.js';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * S3 Storage - שמירת קבצי מדיה ב-bucket תואם S3
+ * (AWS S3, Cloudflare R2, Supabase Storage, MinIO - דרך S3_ENDPOINT)
+ */
+class S3Storage {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'auto',
+    endpoint = process.env.S3_ENDPOINT,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+  } = {}) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 media storage driver');
+    }
+
+    this.driver = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * שמירת קובץ
+   * @param {string} key
+   * @param {Buffer} buffer
+   * @returns {Promise<{ key: string, size: number }>}
+   */
+  async put(key, buffer) {
+    // ContentType לפי הסיומת (allowlist) - ה-mimetype של השולח לא נשמר
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimetypeForKey(key)
+    }));
+
+    logger.debug(`☁️ Stored media in S3: ${key}`);
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * קריאת קובץ כ-stream
+   * @param {string} key
+   * @returns {Promise<{ stream: ReadableStream, size: number, mimetype: string }|null>}
+   */
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        stream: response.Body,
+        size: response.ContentLength,
+        mimetype: mimetypeForKey(key)
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * מחיקת קובץ
+   * @param {string} key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+export default S3Storage;
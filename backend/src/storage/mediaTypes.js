@@ -0,0 +1,49 @@
+/**
+ * מיפוי בין mimetype לסיומת קובץ עבור מדיה של WhatsApp
+ */
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/plain': 'txt'
+};
+
+const MIMETYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+/**
+ * סיומת לפי mimetype (מתעלם מפרמטרים כמו "; codecs=opus")
+ * @param {string} mimetype
+ * @param {string} fileName - שם הקובץ המקורי, אם יש
+ * @returns {string}
+ */
+export function extensionFor(mimetype, fileName = null) {
+  const fromName = fileName?.includes('.') ? fileName.split('.').pop().toLowerCase() : null;
+  if (fromName && /^[a-z0-9]{1,8}$/.test(fromName)) {
+    return fromName;
+  }
+
+  const base = mimetype?.split(';')[0].trim().toLowerCase();
+  return EXTENSIONS[base] || 'bin';
+}
+
+/**
+ * mimetype לפי הסיומת של key
+ * @param {string} key
+ * @returns {string}
+ */
+export function mimetypeForKey(key) {
+  const ext = key.split('.').pop().toLowerCase();
+  return MIMETYPES[ext] || 'application/octet-stream';
+}
@@ -0,0 +1,164 @@
+/**
+ * Message Normalizer - המרת הודעת Baileys (WAMessage) למבנה אחיד לשמירה ב-DB
+ */
+
+// עטיפות שמכילות את ההודעה האמיתית בתוך message
+const WRAPPER_TYPES = [
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'documentWithCaptionMessage',
+  'editedMessage'
+];
+
+// הודעות מערכת שלא מייצגות תוכן שנשלח ע"י הלקוח
+const IGNORED_TYPES = [
+  'protocolMessage',
+  'senderKeyDistributionMessage',
+  'messageContextInfo'
+];
+
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker'
+};
+
+/**
+ * פירוק עטיפות (ephemeral, view once וכו') עד לתוכן ההודעה
+ * @param {object} message - msg.message
+ * @returns {object|null}
+ */
+export function unwrapMessage(message) {
+  let current = message;
+
+  while (current) {
+    const wrapper = WRAPPER_TYPES.find(type => current[type]?.message);
+    if (!wrapper) break;
+    current = current[wrapper].message;
+  }
+
+  return current || null;
+}
+
+/**
+ * הסרת suffix של WhatsApp (@s.whatsapp.net) ומזהה מכשיר (:12) מ-JID
+ * @param {string} jid
+ * @returns {string}
+ */
+export function jidToNumber(jid) {
+  if (!jid) return '';
+  return jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * המרת WAMessage למבנה אחיד
+ * @param {object} msg - WAMessage מ-messages.upsert
+ * @param {string} ownJid - ה-JID של ה-session (sock.user.id)
+ * @returns {object|null} null אם ההודעה לא רלוונטית לשמירה
+ */
+export function normalizeMessage(msg, ownJid) {
+  const remoteJid = msg.key?.remoteJid;
+
+  if (!remoteJid || remoteJid === 'status@broadcast') {
+    return null;
+  }
+
+  const message = unwrapMessage(msg.message);
+  if (!message) {
+    return null;
+  }
+
+  const messageKey = Object.keys(message).find(key => !IGNORED_TYPES.includes(key));
+  if (!messageKey) {
+    return null;
+  }
+
+  const isGroupMessage = remoteJid.endsWith('@g.us');
+  const sender = isGroupMessage ? msg.key.participant || msg.participant : remoteJid;
+  const fromMe = Boolean(msg.key.fromMe);
+
+  const { messageType, content } = extractContent(messageKey, message[messageKey]);
+
+  return {
+    messageId: msg.key.id,
+    direction: fromMe ? 'outbound' : 'inbound',
+    fromNumber: jidToNumber(fromMe ? ownJid : sender),
+    toNumber: jidToNumber(fromMe ? remoteJid : (isGroupMessage ? remoteJid : ownJid)),
+    content,
+    messageType,
+    isGroupMessage,
+    groupJid: isGroupMessage ? remoteJid : null,
+    pushName: msg.pushName || null,
+    timestamp: new Date(Number(msg.messageTimestamp || Date.now() / 1000) * 1000)
+  };
+}
+
+/**
+ * חילוץ התוכן לפי סוג ההודעה
+ * @param {string} messageKey - למשל conversation, imageMessage
+ * @param {object|string} payload
+ * @returns {{ messageType: string, content: object }}
+ */
+function extractContent(messageKey, payload) {
+  if (messageKey === 'conversation') {
+    return { messageType: 'text', content: { text: payload } };
+  }
+
+  if (messageKey === 'extendedTextMessage') {
+    return { messageType: 'text', content: { text: payload.text || '' } };
+  }
+
+  if (MEDIA_TYPES[messageKey]) {
+    return {
+      messageType: MEDIA_TYPES[messageKey],
+      content: {
+        caption: payload.caption || null,
+        mimetype: payload.mimetype || null,
+        fileName: payload.fileName || null,
+        fileLength: payload.fileLength ? Number(payload.fileLength) : null,
+        seconds: payload.seconds || null,
+        ptt: payload.ptt || false
+      }
+    };
+  }
+
+  if (messageKey === 'locationMessage' || messageKey === 'liveLocationMessage') {
+    return {
+      messageType: 'location',
+      content: {
+        latitude: payload.degreesLatitude,
+        longitude: payload.degreesLongitude,
+        name: payload.name || null,
+        address: payload.address || null
+      }
+    };
+  }
+
+  if (messageKey === 'contactMessage') {
+    return {
+      messageType: 'contact',
+      content: { displayName: payload.displayName, vcard: payload.vcard }
+    };
+  }
+
+  if (messageKey === 'reactionMessage') {
+    return {
+      messageType: 'reaction',
+      content: { text: payload.text, reactedMessageId: payload.key?.id }
+    };
+  }
+
+  if (messageKey === 'buttonsResponseMessage') {
+    return { messageType: 'text', content: { text: payload.selectedDisplayText || payload.selectedButtonId } };
+  }
+
+  if (messageKey === 'listResponseMessage') {
+    return { messageType: 'text', content: { text: payload.title || payload.singleSelectReply?.selectedRowId } };
+  }
+
+  return { messageType: messageKey.replace(/Message$/, ''), content: {} };
+}
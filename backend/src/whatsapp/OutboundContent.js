@@ -0,0 +1,164 @@
+/**
+ * Outbound Content - בניית תוכן הודעה יוצאת בפורמט של Baileys
+ *
+ * תוכן מדיה נשמר בתור כ-{ url } או { data } (base64), כדי שיהיה ניתן
+ * לשלוח אותו גם אחרי restart:
+ * { url, data, mimetype, fileName, caption }
+ */
+
+const MB = 1024 * 1024;
+
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'voice', 'document'];
+
+// מגבלות גודל (ניתנות לשינוי ב-env) - לפי המגבלות של WhatsApp
+export const MEDIA_SIZE_LIMITS = {
+  image: (parseInt(process.env.MEDIA_MAX_IMAGE_MB) || 5) * MB,
+  video: (parseInt(process.env.MEDIA_MAX_VIDEO_MB) || 16) * MB,
+  audio: (parseInt(process.env.MEDIA_MAX_AUDIO_MB) || 16) * MB,
+  voice: (parseInt(process.env.MEDIA_MAX_AUDIO_MB) || 16) * MB,
+  document: (parseInt(process.env.MEDIA_MAX_DOCUMENT_MB) || 100) * MB
+};
+
+export const MAX_MEDIA_SIZE = Math.max(...Object.values(MEDIA_SIZE_LIMITS));
+
+// voice note חייב להיות ogg/opus כדי ש-WhatsApp יציג אותו כהקלטה
+const VOICE_MIMETYPE = 'audio/ogg; codecs=opus';
+
+const EXTENSION_TYPES = {
+  image: ['jpg', 'jpeg', 'png', 'webp', 'gif'],
+  video: ['mp4', '3gp', 'mov'],
+  audio: ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav']
+};
+
+/**
+ * שם הקובץ מתוך ה-URL (החלק האחרון ב-path)
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function fileNameFromUrl(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * סוג הודעה לפי הסיומת של קישור (קבצים מצורפים מ-GHL מגיעים כ-URL בלבד)
+ * @param {string} url
+ * @returns {string} image | video | audio | document
+ */
+export function messageTypeForUrl(url) {
+  let ext = '';
+  try {
+    ext = new URL(url).pathname.split('.').pop().toLowerCase();
+  } catch (error) {
+    return 'document';
+  }
+
+  const type = Object.keys(EXTENSION_TYPES).find(key => EXTENSION_TYPES[key].includes(ext));
+  return type || 'document';
+}
+
+/**
+ * יצירת שגיאת ולידציה עם HTTP status
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+function validationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * בדיקת תוכן מדיה לפני הכנסה לתור
+ * @param {string} type - image | video | audio | voice | document
+ * @param {object} content - { url, data, mimetype, fileName, caption }
+ * @param {number} size - גודל הקובץ ב-bytes (אם ידוע)
+ */
+export function validateMediaContent(type, content, size = null) {
+  if (!MEDIA_TYPES.includes(type)) {
+    throw validationError(`Unsupported message type: ${type}`);
+  }
+
+  if (!content?.url && !content?.data) {
+    throw validationError('Media message requires a file upload or a media URL');
+  }
+
+  if (content.url && !/^https?:\/\//i.test(content.url)) {
+    throw validationError('Media URL must be http(s)');
+  }
+
+  if (type === 'document' && !content.fileName) {
+    throw validationError('Documents require a file name');
+  }
+
+  if (size !== null && size > MEDIA_SIZE_LIMITS[type]) {
+    throw validationError(
+      `File too large for ${type}: ${Math.ceil(size / MB)}MB (max ${MEDIA_SIZE_LIMITS[type] / MB}MB)`,
+      413
+    );
+  }
+}
+
+/**
+ * המרת תוכן מהתור לאובייקט AnyMessageContent של Baileys
+ * Baileys לא מקבל { url } - קבצים מ-URL מורדים קודם ב-RemoteMedia.downloadMedia (בדיקת SSRF + מגבלת גודל)
+ * @param {string} type
+ * @param {string|object} content - טקסט, או תוכן מדיה
+ * @param {Buffer} downloaded - הקובץ שהורד מ-content.url
+ * @returns {object}
+ */
+export function buildMessageContent(type, content, downloaded = null) {
+  if (type === 'text') {
+    return { text: content };
+  }
+
+  const media = content.data ? Buffer.from(content.data, 'base64') : downloaded;
+  if (!media) {
+    throw new Error('Media content was not downloaded');
+  }
+  const caption = content.caption || undefined;
+
+  switch (type) {
+    case 'image':
+      return { image: media, caption, mimetype: content.mimetype || undefined };
+    case 'video':
+      return { video: media, caption, mimetype: content.mimetype || undefined };
+    case 'audio':
+      return { audio: media, mimetype: content.mimetype || 'audio/mpeg', ptt: false };
+    case 'voice':
+      return { audio: media, mimetype: VOICE_MIMETYPE, ptt: true };
+    case 'document':
+      return {
+        document: media,
+        mimetype: content.mimetype || 'application/octet-stream',
+        fileName: content.fileName,
+        caption
+      };
+    default:
+      throw new Error(`Unsupported message type: ${type}`);
+  }
+}
+
+/**
+ * התוכן שנשמר בטבלת messages - בלי ה-base64 של הקובץ
+ * @param {string} type
+ * @param {string|object} content
+ * @returns {object}
+ */
+export function describeContent(type, content) {
+  if (type === 'text') {
+    return { text: content };
+  }
+
+  return {
+    caption: content.caption || null,
+    mimetype: type === 'voice' ? VOICE_MIMETYPE : content.mimetype || null,
+    fileName: content.fileName || null,
+    url: content.url || null,
+    ptt: type === 'voice'
+  };
+}
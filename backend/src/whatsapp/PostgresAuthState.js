@@ -0,0 +1,67 @@
+import { initAuthCreds, proto } from '@whiskeysockets/baileys';
+import pino from 'pino';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Postgres Auth State - תחליף ל-useMultiFileAuthState שלא תלוי בדיסק
+ *
+ * ב-Railway מערכת הקבצים נמחקת בכל deploy, ולכן ה-creds וה-signal keys
+ * נשמרים ב-DB:
+ * - creds -> whatsapp_sessions.auth_state
+ * - keys  -> whatsapp_auth_keys (שורה לכל key)
+ *
+ * כל הכתיבות של session עוברות בתור סדרתי אחד, כך ש-creds.update ו-keys.set
+ * שמגיעים במקביל נכתבים לפי הסדר שבו Baileys שלח אותם.
+ *
+ * @param {string} sessionId
+ * @param {SessionPersistence} persistence
+ * @returns {Promise<{ state, saveCreds, flush, clearState }>}
+ */
+export async function usePostgresAuthState(sessionId, persistence) {
+  let writeChain = Promise.resolve();
+
+  // מוסיף כתיבה לסוף התור; כישלון לא עוצר את הכתיבות הבאות
+  const enqueueWrite = (write) => {
+    const result = writeChain.then(write);
+    writeChain = result.catch((error) => {
+      logger.error(`❌ Auth state write failed for ${sessionId}:`, error);
+    });
+    return result;
+  };
+
+  let creds = await persistence.loadAuthState(sessionId);
+
+  if (!creds) {
+    creds = initAuthCreds();
+    // שומר מיד כדי שרשומת ה-session תהיה קיימת לפני כתיבת keys
+    await enqueueWrite(() => persistence.saveAuthState(sessionId, creds));
+  }
+
+  const state = {
+    creds,
+    keys: {
+      get: async (type, ids) => {
+        // ממתין לכתיבות פתוחות כדי לא לקרוא key שעדיין לא נשמר
+        await writeChain;
+        const keys = await persistence.getAuthKeys(sessionId, type, ids);
+
+        if (type === 'app-state-sync-key') {
+          for (const id of Object.keys(keys)) {
+            keys[id] = proto.Message.AppStateSyncKeyData.fromObject(keys[id]);
+          }
+        }
+
+        return keys;
+      },
+      set: (data) => enqueueWrite(() => persistence.setAuthKeys(sessionId, data))
+    }
+  };
+
+  return {
+    state,
+    saveCreds: () => enqueueWrite(() => persistence.saveAuthState(sessionId, state.creds)),
+    flush: () => writeChain,
+    clearState: () => enqueueWrite(() => persistence.clearAuthState(sessionId))
+  };
+}
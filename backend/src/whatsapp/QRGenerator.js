@@ -15,3 +15,37 @@ export async function generateQRDataURL(qrText) {
     throw new Error(`Failed to generate QR code: ${err.message}`);
   }
 }
+
+export const QR_FORMATS = ['json', 'png', 'svg', 'terminal'];
+
+/**
+ * יצירת QR בפורמט המבוקש (ל-GET /api/sessions/:id/qr)
+ * @param {string} qrText - ה-QR הגולמי מ-Baileys
+ * @param {string} format - png | svg | terminal
+ * @returns {Promise<{ contentType: string, body: Buffer|string }>}
+ */
+export async function generateQR(qrText, format) {
+  try {
+    switch (format) {
+      case 'png':
+        return {
+          contentType: 'image/png',
+          body: await QRCode.toBuffer(qrText, { type: 'png', width: 400, margin: 2 })
+        };
+      case 'svg':
+        return {
+          contentType: 'image/svg+xml',
+          body: await QRCode.toString(qrText, { type: 'svg', margin: 2 })
+        };
+      case 'terminal':
+        return {
+          contentType: 'text/plain; charset=utf-8',
+          body: await QRCode.toString(qrText, { type: 'terminal', small: true })
+        };
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  } catch (err) {
+    throw new Error(`Failed to generate QR code: ${err.message}`);
+  }
+}
@@ -0,0 +1,211 @@
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+/**
+ * Remote Media - הורדת מדיה מ-media_url / קבצים מצורפים של GHL בלי SSRF
+ *
+ * - רק http(s), ורק לכתובות ציבוריות: loopback, רשתות פרטיות, link-local (כולל metadata של cloud),
+ *   CGNAT, multicast ו-IPv6 ULA נחסמים
+ * - הבדיקה נעשית גם ב-connect (lookup של ה-agent), כך ש-DNS שמשתנה בין הבדיקה לבקשה לא עוקף אותה
+ * - redirects נבדקים אחד-אחד (כל hop עובר את אותה בדיקה)
+ * - מגבלת הגודל נאכפת תוך כדי ההורדה - הבקשה נעצרת ברגע שהיא חורגת
+ */
+
+const MAX_REDIRECTS = 3;
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS) || 30000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4'); // CGNAT
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4'); // link-local / cloud metadata
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.0.0.0', 24, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('198.18.0.0', 15, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('224.0.0.0', 3, 'ipv4'); // multicast + reserved + broadcast
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+// IPv4-mapped (::ffff:a.b.c.d) נבדקות מול כללי ה-IPv4 ע"י BlockList
+BLOCKED_ADDRESSES.addSubnet('64:ff9b::', 96, 'ipv6'); // NAT64
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6'); // ULA
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6'); // link-local
+BLOCKED_ADDRESSES.addSubnet('ff00::', 8, 'ipv6'); // multicast
+
+/**
+ * יצירת שגיאה עם HTTP status
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+function mediaError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {string} address - IP
+ * @returns {boolean} האם הכתובת פנימית
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup שנכשל על כתובות פנימיות - רץ ב-connect של כל בקשה
+ * (Node 20 קורא לו גם עם { all: true } בגלל autoSelectFamily)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(mediaError(`Media URL resolves to a private address: ${hostname}`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * בדיקה שה-URL הוא http(s) ומצביע רק לכתובות ציבוריות
+ * @param {string} url
+ * @returns {Promise<URL>}
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw mediaError('Invalid media URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw mediaError('Media URL must be http(s)');
+  }
+
+  // IPv6 literals מגיעים בסוגריים
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : await dns.promises.lookup(hostname, { all: true })
+      .then(entries => entries.map(entry => entry.address))
+      .catch(() => {
+        throw mediaError(`Media URL host not found: ${hostname}`);
+      });
+
+  if (addresses.some(isPrivateAddress)) {
+    throw mediaError(`Media URL points to a private address: ${hostname}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * בקשה אחת בלי redirects אוטומטיים, דרך ה-agents שבודקים כל connect
+ * @param {string} method
+ * @param {URL} url
+ * @param {object} options - אפשרויות axios
+ * @returns {Promise<object>} axios response (גם 3xx)
+ */
+function requestHop(method, url, options = {}) {
+  return axios.request({
+    method,
+    url: url.href,
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+    maxRedirects: 0,
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    validateStatus: status => status >= 200 && status < 400,
+    ...options
+  });
+}
+
+/**
+ * בקשה שעוקבת אחרי redirects ידנית - כל hop נבדק מחדש
+ * @param {string} method
+ * @param {string} url
+ * @param {object} options - אפשרויות axios
+ * @returns {Promise<object>} axios response
+ */
+async function requestPublic(method, url, options) {
+  let target = await assertPublicUrl(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await requestHop(method, target, options);
+
+    if (response.status < 300) {
+      return response;
+    }
+
+    if (!response.headers.location) {
+      throw mediaError(`Media URL redirected without a location (${response.status})`);
+    }
+    target = await assertPublicUrl(new URL(response.headers.location, target).href);
+  }
+
+  throw mediaError('Media URL redirected too many times');
+}
+
+/**
+ * גודל הקובץ ב-URL לפי HEAD (null אם השרת לא מחזיר content-length או שהבקשה נכשלה)
+ * URL פנימי זורק שגיאה (400) ולא מחזיר null
+ * @param {string} url
+ * @returns {Promise<number|null>}
+ */
+export async function getRemoteSize(url) {
+  await assertPublicUrl(url);
+
+  try {
+    const response = await requestPublic('HEAD', url, { timeout: 5000 });
+    const length = parseInt(response.headers['content-length']);
+    return Number.isNaN(length) ? null : length;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * הורדת הקובץ עם מגבלת גודל (נעצרת תוך כדי ההורדה)
+ * @param {string} url
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadMedia(url, maxBytes) {
+  try {
+    const response = await requestPublic('GET', url, {
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    // שגיאות של assertPublicUrl / redirects כבר עם status
+    if (!axios.isAxiosError(error)) {
+      throw error;
+    }
+    if (/private address/.test(error.message)) {
+      throw mediaError(error.message);
+    }
+    if (/maxContentLength/.test(error.message)) {
+      throw mediaError(`Media file exceeds ${Math.floor(maxBytes / (1024 * 1024))}MB`, 413);
+    }
+    throw mediaError(`Failed to download media: ${error.message}`, 502);
+  }
+}
@@ -0,0 +1,80 @@
+import { EventEmitter } from 'events';
+import pino from 'pino';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+export const SESSION_EVENTS = {
+  QR: 'session.qr', // { sessionId, organizationId, qr, expiresAt, rotation }
+  PAIRING_CODE: 'session.pairing_code', // { sessionId, organizationId, code, phoneNumber, expiresAt, rotation }
+  STATUS: 'session.status', // { sessionId, organizationId, status, phoneNumber, reason }
+  MESSAGE_RECEIVED: 'message.received', // { sessionId, organizationId, session, message }
+  MESSAGE_STATUS: 'message.status', // { sessionId, organizationId, session, update }
+  GROUP_UPDATED: 'group.updated' // { sessionId, organizationId, updates }
+};
+
+/**
+ * Session Event Bus - ערוץ אירועים מרכזי לכל ה-sessions
+ *
+ * SessionManager מפרסם אירועים עבור כל session (גם sessions ששוחזרו אחרי restart
+ * או חוברו מחדש ע"י ReconnectionManager), ו-Socket.IO / persistence / GHL נרשמים אליהם פעם אחת.
+ *
+ * publish מריץ את ה-listeners לפי סדר ההרשמה ומחכה לכל אחד,
+ * כך ש-persistence (שנרשם ראשון) מסיים לפני ש-Socket.IO שולח ללקוח.
+ * שגיאה ב-listener נרשמת ב-log ולא עוצרת את שאר ה-listeners.
+ */
+class SessionEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+  }
+
+  /**
+   * @param {string} event - אחד מ-SESSION_EVENTS
+   * @param {Function} handler - async (payload) => {}
+   * @returns {SessionEventBus}
+   */
+  subscribe(event, handler) {
+    return this.on(event, handler);
+  }
+
+  /**
+   * המתנה לאירוע הבא שמתאים ל-predicate
+   * @param {string} event - אחד מ-SESSION_EVENTS
+   * @param {Function} predicate - (payload) => boolean
+   * @param {number} timeoutMs
+   * @returns {Promise<object>} ה-payload, או null אם עבר ה-timeout
+   */
+  waitFor(event, predicate, timeoutMs) {
+    return new Promise((resolve) => {
+      const listener = (payload) => {
+        if (!predicate(payload)) return;
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(payload);
+      };
+
+      const timer = setTimeout(() => {
+        this.off(event, listener);
+        resolve(null);
+      }, timeoutMs);
+
+      this.on(event, listener);
+    });
+  }
+
+  /**
+   * @param {string} event - אחד מ-SESSION_EVENTS
+   * @param {object} payload
+   */
+  async publish(event, payload) {
+    for (const listener of this.listeners(event)) {
+      try {
+        await listener(payload);
+      } catch (error) {
+        logger.error(`❌ ${event} listener failed for ${payload.sessionId}:`, error);
+      }
+    }
+  }
+}
+
+export default SessionEventBus;
@@ -1,52 +1,387 @@
-import { makeWASocket, DisconnectReason, useMultiFileAuthState, BufferJSON } from '@whiskeysockets/baileys';
+import { makeWASocket, useMultiFileAuthState, makeCacheableSignalKeyStore, proto } from '@whiskeysockets/baileys';
 import pino from 'pino';
 import path from 'path';
 import fs from 'fs';
 import SessionPersistence from './SessionPersistence.js';
+import { usePostgresAuthState } from './PostgresAuthState.js';
+import { MEDIA_SIZE_LIMITS, buildMessageContent } from './OutboundContent.js';
+import { downloadMedia } from './RemoteMedia.js';
+import SessionEventBus, { SESSION_EVENTS } from './SessionEventBus.js';
+import ReconnectionManager from '../services/ReconnectionManager.js';
+import LeaseManager from '../services/LeaseManager.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+const PAIRING_CODE_WAIT_MS = 20000;
+// ברירות המחדל של Baileys: ה-QR הראשון תקף 60 שניות, כל רענון 20 שניות
+const QR_FIRST_TTL_MS = 60000;
+const QR_REFRESH_TTL_MS = 20000;
+// אחרי כמה QR / pairing codes שלא נסרקו (כולל reconnects) ה-session ננטש
+const QR_MAX_ROTATIONS = parseInt(process.env.QR_MAX_ROTATIONS) || 10;
+
+// proto.WebMessageInfo.Status -> messages.status
+const MESSAGE_STATUS = {
+  [proto.WebMessageInfo.Status.ERROR]: 'failed',
+  [proto.WebMessageInfo.Status.PENDING]: 'pending',
+  [proto.WebMessageInfo.Status.SERVER_ACK]: 'sent',
+  [proto.WebMessageInfo.Status.DELIVERY_ACK]: 'delivered',
+  [proto.WebMessageInfo.Status.READ]: 'read',
+  [proto.WebMessageInfo.Status.PLAYED]: 'read'
+};
+
 class SessionManager {
-  constructor() {
+  /**
+   * כל האירועים של ה-sessions (QR, סטטוס, הודעות, קבוצות) מתפרסמים ב-eventBus -
+   * InboundMessageService, MessageStatusService ו-Socket.IO נרשמים אליו פעם אחת.
+   * @param {object} options
+   * @param {SessionEventBus} options.eventBus
+   */
+  constructor({ eventBus = new SessionEventBus() } = {}) {
     this.sessions = new Map();
+    this.qrRotations = new Map(); // sessionId -> QR / pairing codes שנשלחו בלי סריקה
+    this.events = eventBus;
     this.sessionDir = process.env.SESSION_STORAGE_PATH || './auth_sessions';
     this.persistence = new SessionPersistence();
+    this.reconnectionManager = new ReconnectionManager(this);
+
+    // persistence נרשם ראשון - ה-DB מתעדכן לפני שאר ה-listeners
+    this.persistence.subscribe(this.events);
+    // כש-DATABASE_URL מוגדר ה-auth state נשמר ב-Postgres ושורד redeploy
+    this.useDatabaseAuth = Boolean(process.env.DATABASE_URL);
+    // עם Postgres כל session שייך ל-instance אחד (כמה replicas בלי sockets כפולים)
+    this.leaseManager = this.useDatabaseAuth ? new LeaseManager(this) : null;
 
     // Ensure session directory exists
-    if (!fs.existsSync(this.sessionDir)) {
+    if (!this.useDatabaseAuth && !fs.existsSync(this.sessionDir)) {
       fs.mkdirSync(this.sessionDir, { recursive: true });
     }
   }
 
+  /**
+   * טעינת auth state ל-session - מ-Postgres או מתיקיית auth_sessions (פיתוח לוקלי)
+   * @param {string} sessionId
+   * @returns {Promise<{ state, saveCreds, flush, clearState }>}
+   */
+  async loadAuthState(sessionId) {
+    if (this.useDatabaseAuth) {
+      const authState = await usePostgresAuthState(sessionId, this.persistence);
+      return {
+        ...authState,
+        state: {
+          creds: authState.state.creds,
+          // cache בזיכרון מונע query לכל key בזמן הצפנה/פענוח
+          keys: makeCacheableSignalKeyStore(authState.state.keys, logger.child({ sessionId }))
+        }
+      };
+    }
+
+    const authPath = path.join(this.sessionDir, sessionId);
+    const { state, saveCreds } = await useMultiFileAuthState(authPath);
+
+    return {
+      state,
+      saveCreds,
+      flush: async () => {},
+      clearState: async () => {
+        if (fs.existsSync(authPath)) {
+          fs.rmSync(authPath, { recursive: true, force: true });
+        }
+      }
+    };
+  }
+
   /**
    * טעינת כל ה-sessions הפעילים בזמן הפעלת השרת
    * פותר את הבעיה של sessions שנעלמים אחרי restart
+   *
+   * עם leases: ה-instance נרשם ולוקח רק sessions שאין להם בעלים חי (עד החלק ההוגן שלו),
+   * ו-LeaseManager ממשיך לקחת sessions יתומים כש-instance אחר מת
    */
   async restoreAllSessions() {
     logger.info('🔄 Restoring active sessions from database...');
 
+    if (this.leaseManager) {
+      await this.leaseManager.start();
+      const restored = await this.claimOrphanedSessions({ limit: Infinity });
+      logger.info(`✅ Restored ${restored} sessions on instance ${this.leaseManager.instanceId}`);
+      return;
+    }
+
     const activeSessions = await this.persistence.getActiveSessions();
 
     for (const sessionData of activeSessions) {
-      try {
-        logger.info(`🔄 Restoring session: ${sessionData.session_id} (${sessionData.phone_number || 'unknown'})`);
-        await this.createSession(sessionData.session_id, {}, sessionData.auth_state);
-      } catch (error) {
-        logger.error(`❌ Failed to restore session ${sessionData.session_id}:`, error);
-        await this.persistence.updateSessionStatus(sessionData.session_id, 'error', null, error.message);
-      }
+      logger.info(`🔄 Restoring session: ${sessionData.session_id} (${sessionData.phone_number || 'unknown'})`);
+      await this.restoreSession(sessionData);
     }
 
     logger.info(`✅ Restored ${activeSessions.length} sessions`);
   }
 
-  async createSession(sessionId, callbacks = {}, existingAuthState = null) {
+  /**
+   * פתיחת session קיים מה-DB
+   * @param {object} sessionData - { session_id, organization_id }
+   * @returns {Promise<boolean>} false אם לא נפתח
+   */
+  async restoreSession(sessionData) {
+    try {
+      await this.createSession(sessionData.session_id, {
+        organizationId: sessionData.organization_id
+      });
+      return true;
+    } catch (error) {
+      // instance אחר לקח את ה-session קודם
+      if (error.status === 409) {
+        return false;
+      }
+
+      logger.error(`❌ Failed to restore session ${sessionData.session_id}:`, error);
+      await this.publishStatus(sessionData.session_id, 'error', {
+        organizationId: sessionData.organization_id,
+        reason: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * לקיחת sessions פעילים שאין להם instance חי (נקרא גם מ-LeaseManager בכל סבב)
+   * @param {object} options - { limit } מקסימום sessions בסבב
+   * @returns {Promise<number>} כמה sessions נפתחו
+   */
+  async claimOrphanedSessions({ limit } = {}) {
+    const orphans = (await this.leaseManager.findOrphanedSessions())
+      .filter(({ session_id: id }) => !this.sessions.has(id) && !this.reconnectionManager.isReconnecting(id));
+
+    if (orphans.length === 0) {
+      return 0;
+    }
+
+    const capacity = await this.leaseManager.getClaimCapacity(orphans.length, limit);
+    let restored = 0;
+
+    for (const sessionData of orphans.slice(0, capacity)) {
+      logger.info(`🔄 Claiming session: ${sessionData.session_id}`);
+      if (await this.restoreSession(sessionData)) {
+        restored++;
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * ה-sessions שה-instance הזה אחראי עליהם (פתוחים, או ממתינים ל-reconnect)
+   * @returns {string[]}
+   */
+  getLocalSessionIds() {
+    return Array.from(new Set([
+      ...this.sessions.keys(),
+      ...this.reconnectionManager.pending.keys()
+    ]));
+  }
+
+  /**
+   * סגירה מקומית של session שה-lease שלו עבר ל-instance אחר - בלי logout, בלי עדכון סטטוס
+   * @param {string} sessionId
+   */
+  async dropSession(sessionId) {
+    this.reconnectionManager.cancel(sessionId);
+    this.qrRotations.delete(sessionId);
+
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    session.intentionalClose = true;
+    this.sessions.delete(sessionId);
+    session.sock.end(undefined);
+  }
+
+  /**
+   * פרסום שינוי סטטוס של session (DB + Socket.IO דרך ה-eventBus)
+   * @param {string} sessionId
+   * @param {string} status - connecting | connected | disconnected | error
+   * @param {object} details - { organizationId, phoneNumber, reason }
+   */
+  async publishStatus(sessionId, status, { organizationId = null, phoneNumber = null, reason = null } = {}) {
+    // session שהסתיים (התנתק / נכשל) מתחיל את ספירת ה-QR מחדש ביצירה הבאה,
+    // ואף instance לא צריך להחזיק בו
+    if (status === 'disconnected' || status === 'error') {
+      this.qrRotations.delete(sessionId);
+      await this.leaseManager?.release(sessionId).catch((error) => {
+        logger.error(`❌ Failed to release lease for ${sessionId}:`, error);
+      });
+    }
+
+    await this.events.publish(SESSION_EVENTS.STATUS, {
+      sessionId,
+      organizationId,
+      status,
+      phoneNumber,
+      reason
+    });
+  }
+
+  /**
+   * נרמול מספר טלפון ל-pairing code - ספרות בלבד, כולל קידומת מדינה
+   * @param {string} phoneNumber
+   * @returns {string}
+   */
+  normalizePairingPhone(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (digits.length < 8 || digits.length > 15) {
+      const error = new Error('phone_number must include the country code (e.g. 972501234567)');
+      error.status = 400;
+      throw error;
+    }
+    return digits;
+  }
+
+  /**
+   * בקשת pairing code מ-WhatsApp במקום QR
+   * @param {string} sessionId
+   * @param {object} sock
+   * @param {string} phoneNumber
+   * @returns {Promise<string|null>} null אם הבקשה נכשלה (נשלח QR כגיבוי)
+   */
+  async requestPairingCode(sessionId, sock, phoneNumber) {
+    try {
+      const code = await sock.requestPairingCode(phoneNumber);
+      logger.info(`🔢 Pairing code generated for session ${sessionId}`);
+      return code;
+    } catch (error) {
+      logger.error(`❌ Failed to request pairing code for ${sessionId}, falling back to QR:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * טיפול באירוע qr של Baileys - QR חדש, או pairing code כשה-session נוצר עם מספר טלפון
+   * (הקוד מתבקש ב-qr הראשון של ה-socket ונשלח שוב בכל rotation).
+   * כל אירוע נספר כ-rotation; אחרי QR_MAX_ROTATIONS בלי סריקה ה-session ננטש.
+   * @param {string} sessionId
+   * @param {object} sock
+   * @param {string} qr
+   */
+  async handleQR(sessionId, sock, qr) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.sock !== sock) {
+      return;
+    }
+
+    const rotation = (this.qrRotations.get(sessionId) || 0) + 1;
+    if (rotation > QR_MAX_ROTATIONS) {
+      logger.warn(`⚠️ Session ${sessionId} was not scanned after ${QR_MAX_ROTATIONS} QR codes - abandoning`);
+      await this.abandonSession(sessionId, `QR code not scanned after ${QR_MAX_ROTATIONS} attempts`);
+      return;
+    }
+    this.qrRotations.set(sessionId, rotation);
+
+    const { organizationId, options } = session;
+    const expiresAt = new Date(Date.now() + (session.loginCode ? QR_REFRESH_TTL_MS : QR_FIRST_TTL_MS));
+
+    // pairing code מתבקש פעם אחת לכל socket - כל בקשה חדשה מבטלת את הקוד שהמשתמש מקליד,
+    // אז ב-rotations הבאים נשלח שוב אותו קוד
+    let code = session.loginCode?.type === 'pairing_code' ? session.loginCode.value : null;
+    if (!code && options.phoneNumber && !session.authState.state.creds.registered) {
+      code = await this.requestPairingCode(sessionId, sock, options.phoneNumber);
+    }
+
+    if (code) {
+      session.loginCode = { type: 'pairing_code', value: code, expiresAt, rotation };
+      await this.events.publish(SESSION_EVENTS.PAIRING_CODE, {
+        sessionId,
+        organizationId,
+        code,
+        phoneNumber: options.phoneNumber,
+        expiresAt,
+        rotation
+      });
+    } else {
+      session.loginCode = { type: 'qr', value: qr, expiresAt, rotation };
+      await this.events.publish(SESSION_EVENTS.QR, { sessionId, organizationId, qr, expiresAt, rotation });
+    }
+  }
+
+  /**
+   * ה-QR / pairing code הנוכחי של session (אם עדיין בתוקף)
+   * @param {string} sessionId
+   * @returns {object|null} { type: 'qr' | 'pairing_code', value, expiresAt, rotation, maxRotations }
+   */
+  getLoginCode(sessionId) {
+    const loginCode = this.sessions.get(sessionId)?.loginCode;
+    if (!loginCode || loginCode.expiresAt <= new Date()) {
+      return null;
+    }
+    return { ...loginCode, maxRotations: QR_MAX_ROTATIONS };
+  }
+
+  /**
+   * נטישת session שלא נסרק - סגירת ה-socket בלי logout ובלי reconnect
+   * @param {string} sessionId
+   * @param {string} reason
+   */
+  async abandonSession(sessionId, reason) {
+    const session = this.sessions.get(sessionId);
+    this.reconnectionManager.cancel(sessionId);
+
+    if (!session) {
+      return;
+    }
+
+    session.intentionalClose = true;
+    this.sessions.delete(sessionId);
+    session.sock.end(undefined);
+    // ה-session לא נרשם - ה-keys שנוצרו לא שימושיים
+    await session.authState.clearState();
+
+    await this.publishStatus(sessionId, 'disconnected', {
+      organizationId: session.organizationId,
+      reason
+    });
+  }
+
+  /**
+   * המתנה ל-pairing code הראשון של session (לתשובת ה-API)
+   * @param {string} sessionId
+   * @param {number} timeoutMs
+   * @returns {Promise<string|null>} null אם הקוד לא הגיע בזמן (יגיע ב-socket)
+   */
+  async waitForPairingCode(sessionId, timeoutMs = PAIRING_CODE_WAIT_MS) {
+    const payload = await this.events.waitFor(
+      SESSION_EVENTS.PAIRING_CODE,
+      (event) => event.sessionId === sessionId,
+      timeoutMs
+    );
+    return payload?.code || null;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {object} options - { organizationId, phoneNumber }
+   *   organizationId - אם חסר נטען מה-DB
+   *   phoneNumber - התחברות עם pairing code במקום QR
+   */
+  async createSession(sessionId, options = {}) {
     if (this.sessions.has(sessionId)) {
-      throw new Error(`Session ${sessionId} already exists`);
+      const error = new Error(`Session ${sessionId} already exists`);
+      error.status = 409;
+      throw error;
     }
 
-    const authPath = path.join(this.sessionDir, sessionId);
-    const { state, saveCreds } = await useMultiFileAuthState(authPath);
+    if (this.leaseManager && !(await this.leaseManager.acquire(sessionId))) {
+      const error = new Error(`Session ${sessionId} is active on another instance`);
+      error.status = 409;
+      throw error;
+    }
+
+    let { organizationId } = options;
+    if (!organizationId) {
+      const record = await this.persistence.getSessionRecord(sessionId);
+      organizationId = record?.organization_id || null;
+    }
+
+    const authState = await this.loadAuthState(sessionId);
+    const { state, saveCreds } = authState;
 
     const sock = makeWASocket({
       auth: state,
@@ -56,10 +391,15 @@ class SessionManager {
       defaultQueryTimeoutMs: undefined
     });
 
-    // Store session info
+    // Store session info (options נשמרים ל-reconnect)
     this.sessions.set(sessionId, {
       sock,
+      authState,
       sessionId,
+      organizationId,
+      options: { ...options, organizationId },
+      intentionalClose: false,
+      loginCode: null, // { type: 'qr' | 'pairing_code', value, expiresAt, rotation }
       status: 'connecting',
       phoneNumber: null,
       createdAt: new Date()
@@ -70,46 +410,39 @@ class SessionManager {
       const { connection, lastDisconnect, qr } = update;
 
       if (qr) {
-        // שמור QR ב-DB ושלח ל-callback
-        await this.persistence.saveQRCode(sessionId, qr);
-        if (callbacks.onQR) {
-          callbacks.onQR(qr);
-        }
+        await this.handleQR(sessionId, sock, qr);
       }
 
       if (connection === 'close') {
-        const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
-
-        logger.info(`Session ${sessionId} closed. Reconnect: ${shouldReconnect}`);
-
-        if (shouldReconnect) {
-          await this.persistence.updateSessionStatus(sessionId, 'disconnected', null, lastDisconnect?.error?.message);
-          setTimeout(() => this.createSession(sessionId, callbacks), 3000);
-        } else {
-          // Logged out - מחק session
-          await this.persistence.updateSessionStatus(sessionId, 'disconnected', null, 'Logged out');
-          this.sessions.delete(sessionId);
-          if (callbacks.onDisconnect) callbacks.onDisconnect();
+        const session = this.sessions.get(sessionId);
+        // ה-socket הזה כבר הוחלף / נסגר ע"י destroySession
+        if (!session || session.sock !== sock || session.intentionalClose) {
+          return;
         }
+
+        // הסר את ה-entry הישן לפני ש-createSession נקרא שוב
+        this.sessions.delete(sessionId);
+
+        await this.reconnectionManager.handleClose(sessionId, lastDisconnect, {
+          options: session.options,
+          authState
+        });
       }
 
       if (connection === 'open') {
         const session = this.sessions.get(sessionId);
         session.status = 'connected';
         session.phoneNumber = sock.user.id.split(':')[0];
+        session.loginCode = null;
+        this.qrRotations.delete(sessionId);
 
         logger.info(`✅ Session ${sessionId} connected: ${session.phoneNumber}`);
 
-        // עדכן סטטוס ב-DB
-        await this.persistence.updateSessionStatus(sessionId, 'connected', session.phoneNumber);
-        await this.persistence.resetReconnectAttempts(sessionId);
-
-        if (callbacks.onConnected) {
-          callbacks.onConnected({
-            phoneNumber: session.phoneNumber,
-            user: sock.user
-          });
-        }
+        this.reconnectionManager.onConnected(sessionId);
+        await this.publishStatus(sessionId, 'connected', {
+          organizationId,
+          phoneNumber: session.phoneNumber
+        });
       }
     });
 
@@ -120,39 +453,109 @@ class SessionManager {
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
       if (type === 'notify') {
         for (const msg of messages) {
-          // קבל organization_id מה-session
-          const sessionData = await this.persistence.loadAuthState(sessionId);
+          logger.debug(`📨 Received message: ${msg.key.id}`);
+
+          await this.events.publish(SESSION_EVENTS.MESSAGE_RECEIVED, {
+            sessionId,
+            organizationId,
+            session: this.sessions.get(sessionId),
+            message: msg
+          });
+        }
+      }
+    });
 
-          if (callbacks.onMessage) {
-            callbacks.onMessage(msg);
-          }
+    // Delivery / read receipts של הודעות יוצאות (צ'אטים פרטיים)
+    sock.ev.on('messages.update', async (updates) => {
+      for (const { key, update } of updates) {
+        const status = MESSAGE_STATUS[update.status];
+        if (!key.fromMe || !status) continue;
 
-          // שמור הודעה ב-DB (יטופל על ידי המערכת המרכזית)
-          logger.debug(`📨 Received message: ${msg.key.id}`);
+        await this.handleStatusUpdate(sessionId, { messageId: key.id, status });
+      }
+    });
+
+    // Receipts בקבוצות - מגיעים לכל משתתף בנפרד, הראשון קובע
+    sock.ev.on('message-receipt.update', async (receipts) => {
+      for (const { key, receipt } of receipts) {
+        if (!key.fromMe) continue;
+
+        if (receipt.readTimestamp) {
+          await this.handleStatusUpdate(sessionId, {
+            messageId: key.id,
+            status: 'read',
+            timestamp: new Date(Number(receipt.readTimestamp) * 1000)
+          });
+        } else if (receipt.receiptTimestamp) {
+          await this.handleStatusUpdate(sessionId, {
+            messageId: key.id,
+            status: 'delivered',
+            timestamp: new Date(Number(receipt.receiptTimestamp) * 1000)
+          });
         }
       }
     });
 
     // Handle group updates
     sock.ev.on('groups.update', async (updates) => {
-      if (callbacks.onGroupUpdate) {
-        callbacks.onGroupUpdate(updates);
-      }
+      await this.events.publish(SESSION_EVENTS.GROUP_UPDATED, { sessionId, organizationId, updates });
     });
 
     return sock;
   }
 
+  /**
+   * פרסום עדכון סטטוס של הודעה יוצאת (MessageStatusService נרשם אליו)
+   * @param {string} sessionId
+   * @param {object} update - { messageId, status, timestamp }
+   */
+  async handleStatusUpdate(sessionId, update) {
+    const session = this.sessions.get(sessionId);
+
+    await this.events.publish(SESSION_EVENTS.MESSAGE_STATUS, {
+      sessionId,
+      organizationId: session?.organizationId || null,
+      update
+    });
+  }
+
   getSession(sessionId) {
     return this.sessions.get(sessionId);
   }
 
+  /**
+   * ה-organization שה-session שייך אליו - מהזיכרון, או מה-DB (session שלא פעיל כרגע)
+   * @param {string} sessionId
+   * @returns {Promise<string|null>}
+   */
+  async getSessionOrganizationId(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      return session.organizationId;
+    }
+    return (await this.persistence.getSessionRecord(sessionId))?.organization_id || null;
+  }
+
   async destroySession(sessionId) {
     const session = this.sessions.get(sessionId);
     if (!session) {
+      // session שממתין ל-reconnect - ביטול הניסיון הבא וניקוי ה-auth state
+      const pending = this.reconnectionManager.cancel(sessionId);
+      if (pending) {
+        await pending.authState.clearState();
+        await this.publishStatus(sessionId, 'disconnected', {
+          organizationId: pending.options.organizationId,
+          reason: 'Session destroyed'
+        });
+        return;
+      }
       throw new Error(`Session ${sessionId} not found`);
     }
 
+    // ה-close event שה-logout יוצר לא יעבור ל-ReconnectionManager
+    session.intentionalClose = true;
+    this.reconnectionManager.cancel(sessionId);
+
     try {
       await session.sock.logout();
     } catch (err) {
@@ -161,29 +564,107 @@ class SessionManager {
 
     this.sessions.delete(sessionId);
 
-    // Clean up auth files
-    const authPath = path.join(this.sessionDir, sessionId);
-    if (fs.existsSync(authPath)) {
-      fs.rmSync(authPath, { recursive: true, force: true });
-    }
+    // Clean up auth state (DB rows or auth files)
+    await session.authState.clearState();
+
+    await this.publishStatus(sessionId, 'disconnected', {
+      organizationId: session.organizationId,
+      reason: 'Session destroyed'
+    });
   }
 
-  getAllSessions() {
-    return Array.from(this.sessions.entries()).map(([id, session]) => ({
-      sessionId: id,
-      status: session.status,
-      phoneNumber: session.phoneNumber,
-      createdAt: session.createdAt
+  /**
+   * Graceful shutdown - סגירת כל ה-sockets בלי logout, כך שה-sessions עולים מחדש מה-creds השמורים
+   *
+   * - ביטול reconnects מתוזמנים (הסטטוס שלהם כבר connecting, ולכן הם ישוחזרו)
+   * - המתנה לכל כתיבות ה-creds / keys שבתור, לפני סגירת ה-socket
+   * - סימון ה-session כ-connecting, כדי ש-restoreAllSessions (או instance אחר) יפתח אותו מיד
+   */
+  async shutdown() {
+    this.reconnectionManager.cancelAll();
+
+    const sessions = Array.from(this.sessions.entries());
+    this.sessions.clear();
+
+    await Promise.all(sessions.map(async ([sessionId, session]) => {
+      // ה-close event של sock.end לא יעבור ל-ReconnectionManager
+      session.intentionalClose = true;
+
+      try {
+        await session.authState.flush();
+      } catch (error) {
+        logger.error(`❌ Failed to flush auth state for ${sessionId}:`, error);
+      }
+
+      session.sock.end(undefined);
+
+      await this.publishStatus(sessionId, 'connecting', {
+        organizationId: session.organizationId,
+        phoneNumber: session.phoneNumber,
+        reason: 'Server restarting'
+      });
+    }));
+
+    logger.info(`⏹️ Closed ${sessions.length} sessions for restart`);
+  }
+
+  /**
+   * רשימת ה-sessions שבזיכרון
+   * @param {string} organizationId - רק ה-sessions של ה-organization הזו (null = הכל, לשימוש פנימי)
+   * @returns {Array}
+   */
+  getAllSessions(organizationId = null) {
+    return Array.from(this.sessions.entries())
+      .filter(([, session]) => !organizationId || session.organizationId === organizationId)
+      .map(([id, session]) => ({
+        sessionId: id,
+        organizationId: session.organizationId,
+        status: session.status,
+        phoneNumber: session.phoneNumber,
+        createdAt: session.createdAt
+      }));
+  }
+
+  /**
+   * ה-sessions הפעילים של organization - בכל ה-instances (לפי ה-leases), או בזיכרון ב-instance יחיד
+   * @param {string} organizationId
+   * @returns {Promise<Array>}
+   */
+  async listSessions(organizationId) {
+    if (!this.leaseManager) {
+      return this.getAllSessions(organizationId);
+    }
+
+    const rows = await this.persistence.getLeasedSessions(organizationId);
+    return rows.map(row => ({
+      sessionId: row.session_id,
+      organizationId: row.organization_id,
+      status: row.status,
+      phoneNumber: row.phone_number,
+      createdAt: row.created_at,
+      instanceId: row.instance_id
     }));
   }
 
-  async sendMessage(sessionId, jid, message) {
+  /**
+   * שליחת הודעה (טקסט או מדיה)
+   * @param {string} sessionId
+   * @param {string} jid
+   * @param {string|object} message - טקסט, או תוכן מדיה ({ url | data, mimetype, fileName, caption })
+   * @param {string} type - text | image | video | audio | voice | document
+   * @returns {Promise<object>} WAMessage שנשלח
+   */
+  async sendMessage(sessionId, jid, message, type = 'text') {
     const session = this.sessions.get(sessionId);
     if (!session || session.status !== 'connected') {
       throw new Error(`Session ${sessionId} not connected`);
     }
 
-    return await session.sock.sendMessage(jid, { text: message });
+    const downloaded = type !== 'text' && !message.data
+      ? await downloadMedia(message.url, MEDIA_SIZE_LIMITS[type])
+      : null;
+
+    return await session.sock.sendMessage(jid, buildMessageContent(type, message, downloaded));
   }
 
   async createGroup(sessionId, groupName, participants) {
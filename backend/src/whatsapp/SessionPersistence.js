@@ -1,26 +1,61 @@
+import { BufferJSON } from '@whiskeysockets/baileys';
 import pool from '../config/database.js';
 import pino from 'pino';
+import { SESSION_EVENTS } from './SessionEventBus.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+/**
+ * pg מחזיר JSONB כאובייקט - מעבירים אותו שוב דרך BufferJSON כדי לשחזר Buffers
+ */
+function reviveJson(value) {
+  return JSON.parse(JSON.stringify(value), BufferJSON.reviver);
+}
+
 /**
  * SessionPersistence - מנהל שמירה וטעינה של WhatsApp sessions מ-Supabase
  * פותר את הבעיה של sessions שנעלמים אחרי restart
  */
 class SessionPersistence {
   /**
-   * שמירת auth state של Baileys ב-DB
+   * הרשמה ל-SessionEventBus - שמירת QR וסטטוס של כל session ב-DB
+   * @param {SessionEventBus} eventBus
+   */
+  subscribe(eventBus) {
+    eventBus.subscribe(SESSION_EVENTS.QR, ({ sessionId, qr, expiresAt }) =>
+      this.saveQRCode(sessionId, qr, expiresAt)
+    );
+    eventBus.subscribe(SESSION_EVENTS.PAIRING_CODE, ({ sessionId, code, expiresAt }) =>
+      this.savePairingCode(sessionId, code, expiresAt)
+    );
+
+    eventBus.subscribe(SESSION_EVENTS.STATUS, async ({ sessionId, status, phoneNumber, reason }) => {
+      await this.updateSessionStatus(sessionId, status, phoneNumber, reason);
+      if (status === 'connected') {
+        await this.resetReconnectAttempts(sessionId);
+      }
+      // QR / pairing code רלוונטיים רק בזמן התחברות
+      if (status !== 'connecting') {
+        await this.clearLoginCodes(sessionId);
+      }
+    });
+  }
+
+  /**
+   * שמירת creds של Baileys ב-DB (whatsapp_sessions.auth_state)
+   * יוצר את רשומת ה-session אם עדיין לא קיימת, כדי שה-keys יוכלו להצביע עליה
    * @param {string} sessionId - מזהה ייחודי של הsession
-   * @param {object} authState - auth state מ-Baileys (creds, keys)
+   * @param {object} creds - authState.creds מ-Baileys
    */
-  async saveAuthState(sessionId, authState) {
+  async saveAuthState(sessionId, creds) {
     try {
-      const authStateJson = JSON.stringify(authState);
+      const authStateJson = JSON.stringify(creds, BufferJSON.replacer);
 
       await pool.query(
-        `UPDATE whatsapp_sessions
-         SET auth_state = $1::jsonb, updated_at = NOW()
-         WHERE session_id = $2`,
+        `INSERT INTO whatsapp_sessions (session_id, auth_state)
+         VALUES ($2, $1::jsonb)
+         ON CONFLICT (session_id)
+         DO UPDATE SET auth_state = EXCLUDED.auth_state, updated_at = NOW()`,
         [authStateJson, sessionId]
       );
 
@@ -32,9 +67,10 @@ class SessionPersistence {
   }
 
   /**
-   * טעינת auth state מה-DB (לשחזור session אחרי restart)
+   * טעינת creds מה-DB (לשחזור session אחרי restart)
+   * זורק שגיאה אם ה-DB לא זמין - אסור להמשיך עם creds חדשים ולדרוס session קיים
    * @param {string} sessionId
-   * @returns {object|null} auth state או null אם לא נמצא
+   * @returns {object|null} creds או null אם לא נמצא
    */
   async loadAuthState(sessionId) {
     try {
@@ -45,14 +81,112 @@ class SessionPersistence {
 
       if (result.rows.length > 0 && result.rows[0].auth_state) {
         logger.info(`✅ Loaded auth state for session: ${sessionId}`);
-        return result.rows[0].auth_state;
+        return reviveJson(result.rows[0].auth_state);
       }
 
       logger.info(`⚠️ No auth state found for session: ${sessionId}`);
       return null;
     } catch (error) {
       logger.error(`❌ Failed to load auth state for ${sessionId}:`, error);
-      return null;
+      throw error;
+    }
+  }
+
+  /**
+   * טעינת signal keys של session
+   * @param {string} sessionId
+   * @param {string} type - סוג ה-key (pre-key, session, sender-key, app-state-sync-key...)
+   * @param {Array<string>} ids
+   * @returns {object} מפה של id -> value (ids שלא נמצאו לא יופיעו)
+   */
+  async getAuthKeys(sessionId, type, ids) {
+    const { rows } = await pool.query(
+      `SELECT key_id, value FROM whatsapp_auth_keys
+       WHERE session_id = $1 AND key_type = $2 AND key_id = ANY($3::text[])`,
+      [sessionId, type, ids]
+    );
+
+    const keys = {};
+    for (const row of rows) {
+      keys[row.key_id] = reviveJson(row.value);
+    }
+    return keys;
+  }
+
+  /**
+   * כתיבת signal keys בטרנזקציה אחת (value = null מוחק את ה-key)
+   * ה-keys ממוינים כדי ששתי כתיבות מקבילות ינעלו שורות באותו סדר (מניעת deadlock)
+   * @param {string} sessionId
+   * @param {object} data - { [type]: { [id]: value | null } }
+   */
+  async setAuthKeys(sessionId, data) {
+    const upserts = { types: [], ids: [], values: [] };
+    const deletes = { types: [], ids: [] };
+
+    for (const type of Object.keys(data).sort()) {
+      for (const id of Object.keys(data[type]).sort()) {
+        const value = data[type][id];
+        if (value) {
+          upserts.types.push(type);
+          upserts.ids.push(id);
+          upserts.values.push(JSON.stringify(value, BufferJSON.replacer));
+        } else {
+          deletes.types.push(type);
+          deletes.ids.push(id);
+        }
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (upserts.ids.length > 0) {
+        await client.query(
+          `INSERT INTO whatsapp_auth_keys (session_id, key_type, key_id, value)
+           SELECT $1, t.key_type, t.key_id, t.value::jsonb
+           FROM UNNEST($2::text[], $3::text[], $4::text[]) AS t(key_type, key_id, value)
+           ON CONFLICT (session_id, key_type, key_id)
+           DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+          [sessionId, upserts.types, upserts.ids, upserts.values]
+        );
+      }
+
+      if (deletes.ids.length > 0) {
+        await client.query(
+          `DELETE FROM whatsapp_auth_keys k
+           USING UNNEST($2::text[], $3::text[]) AS t(key_type, key_id)
+           WHERE k.session_id = $1 AND k.key_type = t.key_type AND k.key_id = t.key_id`,
+          [sessionId, deletes.types, deletes.ids]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`❌ Failed to write auth keys for ${sessionId}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * מחיקת כל ה-auth state של session (creds + keys) - אחרי logout
+   * @param {string} sessionId
+   */
+  async clearAuthState(sessionId) {
+    try {
+      await pool.query(`DELETE FROM whatsapp_auth_keys WHERE session_id = $1`, [sessionId]);
+      await pool.query(
+        `UPDATE whatsapp_sessions SET auth_state = NULL, updated_at = NOW() WHERE session_id = $1`,
+        [sessionId]
+      );
+
+      logger.info(`🗑️ Cleared auth state for session: ${sessionId}`);
+    } catch (error) {
+      logger.error(`❌ Failed to clear auth state for ${sessionId}:`, error);
+      throw error;
     }
   }
 
@@ -86,14 +220,15 @@ class SessionPersistence {
    * שמירת QR code ל-DB (לתצוגה ב-frontend)
    * @param {string} sessionId
    * @param {string} qrCode - QR code string או data URL
+   * @param {Date} expiresAt - (אופציונלי) מתי ה-QR מתחלף
    */
-  async saveQRCode(sessionId, qrCode) {
+  async saveQRCode(sessionId, qrCode, expiresAt = null) {
     try {
       await pool.query(
         `UPDATE whatsapp_sessions
-         SET qr_code = $1, updated_at = NOW()
-         WHERE session_id = $2`,
-        [qrCode, sessionId]
+         SET qr_code = $1, pairing_code = NULL, qr_expires_at = $2, updated_at = NOW()
+         WHERE session_id = $3`,
+        [qrCode, expiresAt, sessionId]
       );
 
       logger.debug(`✅ Saved QR code for session: ${sessionId}`);
@@ -102,6 +237,61 @@ class SessionPersistence {
     }
   }
 
+  /**
+   * שמירת pairing code ל-DB (לתצוגה ב-frontend, כמו QR)
+   * @param {string} sessionId
+   * @param {string} pairingCode
+   * @param {Date} expiresAt - (אופציונלי) מתי הקוד מתחלף
+   */
+  async savePairingCode(sessionId, pairingCode, expiresAt = null) {
+    try {
+      await pool.query(
+        `UPDATE whatsapp_sessions
+         SET pairing_code = $1, qr_code = NULL, qr_expires_at = $2, updated_at = NOW()
+         WHERE session_id = $3`,
+        [pairingCode, expiresAt, sessionId]
+      );
+
+      logger.debug(`✅ Saved pairing code for session: ${sessionId}`);
+    } catch (error) {
+      logger.error(`❌ Failed to save pairing code for ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * מחיקת QR / pairing code (אחרי התחברות או נטישה)
+   * @param {string} sessionId
+   */
+  async clearLoginCodes(sessionId) {
+    try {
+      await pool.query(
+        `UPDATE whatsapp_sessions
+         SET qr_code = NULL, pairing_code = NULL, qr_expires_at = NULL
+         WHERE session_id = $1 AND (qr_code IS NOT NULL OR pairing_code IS NOT NULL)`,
+        [sessionId]
+      );
+    } catch (error) {
+      logger.error(`❌ Failed to clear login codes for ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * sessions של organization שפתוחים כרגע באחד ה-instances (lease בתוקף)
+   * @param {string} organizationId
+   * @returns {Promise<Array>}
+   */
+  async getLeasedSessions(organizationId) {
+    const { rows } = await pool.query(
+      `SELECT s.session_id, s.organization_id, s.status, s.phone_number, s.created_at, l.instance_id
+       FROM whatsapp_sessions s
+       JOIN session_leases l ON l.session_id = s.session_id AND l.expires_at > NOW()
+       WHERE s.organization_id = $1
+       ORDER BY s.created_at ASC`,
+      [organizationId]
+    );
+    return rows;
+  }
+
   /**
    * קבלת כל ה-sessions הפעילים (לטעינה בזמן הפעלת השרת)
    * @returns {Array} רשימת sessions עם auth_state
@@ -125,15 +315,22 @@ class SessionPersistence {
 
   /**
    * יצירת session חדש ב-DB
+   * אם הרשומה כבר קיימת (למשל נוצרה ע"י saveAuthState) - משייך אותה ל-organization
    * @param {string} sessionId
    * @param {string} organizationId
+   * @param {object} client - pool או client של transaction (QuotaService.createSessionWithinQuota)
    * @returns {object} session data
    */
-  async createSessionRecord(sessionId, organizationId) {
+  async createSessionRecord(sessionId, organizationId, client = pool) {
     try {
-      const result = await pool.query(
+      const result = await client.query(
         `INSERT INTO whatsapp_sessions (session_id, organization_id, status)
          VALUES ($1, $2, 'connecting')
+         ON CONFLICT (session_id)
+         DO UPDATE SET
+           organization_id = COALESCE(whatsapp_sessions.organization_id, EXCLUDED.organization_id),
+           status = 'connecting',
+           updated_at = NOW()
          RETURNING id, session_id, organization_id, status, created_at`,
         [sessionId, organizationId]
       );
@@ -146,6 +343,27 @@ class SessionPersistence {
     }
   }
 
+  /**
+   * קבלת רשומת session מה-DB
+   * @param {string} sessionId
+   * @returns {object|null} { id, session_id, organization_id, status, phone_number }
+   */
+  async getSessionRecord(sessionId) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT id, session_id, organization_id, status, phone_number
+         FROM whatsapp_sessions
+         WHERE session_id = $1`,
+        [sessionId]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      logger.error(`❌ Failed to get session record ${sessionId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * מחיקת session מה-DB
    * @param {string} sessionId
@@ -165,18 +383,24 @@ class SessionPersistence {
 
   /**
    * בדיקת אם organization עברה את מגבלת החשבונות
+   * נספרים רק sessions פעילים (connecting / connected); max_accounts = -1 ללא הגבלה
    * @param {string} organizationId
+   * @param {string} excludeSessionId - session שנוצר מחדש (כבר קיים ב-DB) לא נספר
+   * @param {object} client - pool או client של transaction
    * @returns {object} { count, limit, canAdd }
    */
-  async checkAccountLimit(organizationId) {
+  async checkAccountLimit(organizationId, excludeSessionId = null, client = pool) {
     try {
-      const result = await pool.query(
+      const result = await client.query(
         `SELECT
-           (SELECT COUNT(*) FROM whatsapp_sessions WHERE organization_id = $1 AND status != 'error') as current_count,
+           (SELECT COUNT(*) FROM whatsapp_sessions
+            WHERE organization_id = $1
+            AND status IN ('connecting', 'connected')
+            AND ($2::text IS NULL OR session_id != $2)) as current_count,
            o.max_accounts as max_allowed
          FROM organizations o
          WHERE o.id = $1`,
-        [organizationId]
+        [organizationId, excludeSessionId]
       );
 
       if (result.rows.length === 0) {
@@ -184,7 +408,7 @@ class SessionPersistence {
       }
 
       const { current_count, max_allowed } = result.rows[0];
-      const canAdd = parseInt(current_count) < parseInt(max_allowed);
+      const canAdd = parseInt(max_allowed) === -1 || parseInt(current_count) < parseInt(max_allowed);
 
       logger.info(`📊 Org ${organizationId}: ${current_count}/${max_allowed} accounts used`);
 
@@ -201,8 +425,9 @@ class SessionPersistence {
 
   /**
    * שמירת הודעה ב-DB
+   * הודעה שכבר נשמרה (אותו message_id באותו session) לא נשמרת שוב
    * @param {object} messageData
-   * @returns {object} saved message
+   * @returns {object|null} saved message, או null אם ההודעה כבר קיימת
    */
   async saveMessage(messageData) {
     try {
@@ -215,28 +440,37 @@ class SessionPersistence {
         toNumber,
         content,
         messageType = 'text',
+        status = 'sent',
         isGroupMessage = false,
-        groupJid = null
+        groupJid = null,
+        timestamp = new Date(),
+        ghlMessageId = null,
+        syncedToGhl = false
       } = messageData;
 
       const result = await pool.query(
         `INSERT INTO messages (
           session_id, organization_id, message_id, direction,
-          from_number, to_number, content, message_type,
-          is_group_message, group_jid
+          from_number, to_number, content, message_type, status,
+          is_group_message, group_jid, timestamp, ghl_message_id, synced_to_ghl
         )
         VALUES (
           (SELECT id FROM whatsapp_sessions WHERE session_id = $1),
-          $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10
+          $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10, $11, $12, $13, $14
         )
+        ON CONFLICT (session_id, message_id) DO NOTHING
         RETURNING id, message_id, timestamp`,
         [
           sessionId, organizationId, messageId, direction,
-          fromNumber, toNumber, JSON.stringify(content), messageType,
-          isGroupMessage, groupJid
+          fromNumber, toNumber, JSON.stringify(content), messageType, status,
+          isGroupMessage, groupJid, timestamp, ghlMessageId, syncedToGhl
         ]
       );
 
+      if (result.rows.length === 0) {
+        return null;
+      }
+
       logger.info(`✅ Saved message ${messageId} to DB`);
       return result.rows[0];
     } catch (error) {
@@ -245,6 +479,41 @@ class SessionPersistence {
     }
   }
 
+  /**
+   * עדכון סטטוס הודעה (delivered / read / failed) עם timestamps
+   * הסטטוס מתקדם רק קדימה - receipt ישן לא מחזיר read ל-delivered
+   * @param {string} sessionId
+   * @param {string} messageId - message_id של WhatsApp
+   * @param {string} status - pending | sent | delivered | read | failed
+   * @param {Date} timestamp
+   * @returns {object|null} השורה המעודכנת, או null אם לא היה שינוי
+   */
+  async updateMessageStatus(sessionId, messageId, status, timestamp = new Date()) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE messages
+         SET status = $3,
+             delivered_at = CASE WHEN $3 IN ('delivered', 'read') THEN COALESCE(delivered_at, $4) ELSE delivered_at END,
+             read_at = CASE WHEN $3 = 'read' THEN COALESCE(read_at, $4) ELSE read_at END,
+             status_updated_at = NOW()
+         WHERE session_id = (SELECT id FROM whatsapp_sessions WHERE session_id = $1)
+         AND message_id = $2
+         AND (
+           array_position(ARRAY['pending', 'sent', 'delivered', 'read'], status)
+             < array_position(ARRAY['pending', 'sent', 'delivered', 'read'], $3::text)
+           OR ($3 = 'failed' AND status IN ('pending', 'sent'))
+         )
+         RETURNING id, organization_id, message_id, to_number, status, delivered_at, read_at, ghl_message_id`,
+        [sessionId, messageId, status, timestamp]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      logger.error(`❌ Failed to update status of message ${messageId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * קבלת הודעות שטרם סונכרנו ל-GHL
    * @param {string} organizationId
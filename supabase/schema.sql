@@ -17,14 +17,28 @@ CREATE TABLE IF NOT EXISTS organizations (
   max_accounts INTEGER DEFAULT 1,
   max_messages_per_month INTEGER DEFAULT 1000,
   webhook_url TEXT,
-  ghl_api_key TEXT,
-  ghl_location_id TEXT,
+  ghl_api_key TEXT, -- private integration token (ללא marketplace app); OAuth tokens ב-ghl_oauth_tokens
+  ghl_location_id TEXT, -- נקבע רק בהתקנת ה-OAuth app או אחרי אימות מול GHL API (location אחד לכל organization)
+  webhook_secret TEXT, -- HMAC secret לאימות webhooks נכנסים (אופציונלי, אחרת WEBHOOK_SECRET)
   stripe_customer_id TEXT,
   stripe_subscription_id TEXT,
+  subscription_status TEXT, -- הסטטוס ב-Stripe (active, trialing, past_due, canceled...)
+  subscription_updated_at TIMESTAMPTZ, -- event.created של ה-webhook האחרון שעודכן (events ישנים לא דורסים)
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- databases קיימים: CREATE TABLE IF NOT EXISTS לא מוסיף עמודות לטבלה שכבר קיימת
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS webhook_secret TEXT;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS subscription_status TEXT;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS subscription_updated_at TIMESTAMPTZ;
+
+-- Stripe webhooks מוצאים את ה-organization לפי ה-customer
+CREATE UNIQUE INDEX idx_organizations_stripe_customer ON organizations(stripe_customer_id) WHERE stripe_customer_id IS NOT NULL;
+
+-- location של GHL שייך ל-organization אחת בלבד (כפילות -> 23505)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_ghl_location ON organizations(ghl_location_id);
+
 -- ========================================
 -- 2. WHATSAPP_SESSIONS TABLE
 -- ========================================
@@ -35,6 +49,8 @@ CREATE TABLE IF NOT EXISTS whatsapp_sessions (
   phone_number TEXT,
   status TEXT DEFAULT 'disconnected' CHECK (status IN ('connecting', 'connected', 'disconnected', 'error')),
   qr_code TEXT,
+  pairing_code TEXT, -- קוד התחברות (במקום QR) כשה-session נוצר עם מספר טלפון
+  qr_expires_at TIMESTAMPTZ, -- מתי ה-QR / pairing code הנוכחי מתחלף
   auth_state JSONB, -- Baileys auth state stored as JSON
   last_seen_at TIMESTAMPTZ,
   error_message TEXT,
@@ -44,6 +60,10 @@ CREATE TABLE IF NOT EXISTS whatsapp_sessions (
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- עמודות שנוספו אחרי שהטבלה נוצרה (databases קיימים)
+ALTER TABLE whatsapp_sessions ADD COLUMN IF NOT EXISTS pairing_code TEXT;
+ALTER TABLE whatsapp_sessions ADD COLUMN IF NOT EXISTS qr_expires_at TIMESTAMPTZ;
+
 CREATE INDEX idx_sessions_org ON whatsapp_sessions(organization_id);
 CREATE INDEX idx_sessions_status ON whatsapp_sessions(status);
 CREATE INDEX idx_sessions_phone ON whatsapp_sessions(phone_number) WHERE phone_number IS NOT NULL;
@@ -66,16 +86,27 @@ CREATE TABLE IF NOT EXISTS messages (
   group_jid TEXT,
   synced_to_ghl BOOLEAN DEFAULT FALSE,
   ghl_message_id TEXT,
+  delivered_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  status_updated_at TIMESTAMPTZ,
   timestamp TIMESTAMPTZ DEFAULT NOW(),
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- עמודות שנוספו אחרי שהטבלה נוצרה (databases קיימים)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
 CREATE INDEX idx_messages_session ON messages(session_id);
 CREATE INDEX idx_messages_org ON messages(organization_id);
 CREATE INDEX idx_messages_timestamp ON messages(timestamp DESC);
 CREATE INDEX idx_messages_ghl_sync ON messages(synced_to_ghl) WHERE synced_to_ghl = FALSE;
 CREATE INDEX idx_messages_from ON messages(from_number);
 CREATE INDEX idx_messages_to ON messages(to_number);
+-- analytics: הודעות של organization בטווח תאריכים
+CREATE INDEX idx_messages_org_timestamp ON messages(organization_id, timestamp);
+CREATE UNIQUE INDEX idx_messages_session_message ON messages(session_id, message_id);
 
 -- ========================================
 -- 4. WHATSAPP_GROUPS TABLE
@@ -170,6 +201,208 @@ CREATE TABLE IF NOT EXISTS system_logs (
 CREATE INDEX idx_logs_level ON system_logs(level) WHERE level IN ('error', 'critical');
 CREATE INDEX idx_logs_created ON system_logs(created_at DESC);
 
+-- ========================================
+-- 9. WHATSAPP_AUTH_KEYS TABLE (Baileys signal keys)
+-- ========================================
+-- creds נשמרים ב-whatsapp_sessions.auth_state, ה-signal keys כאן (שורה לכל key)
+CREATE TABLE IF NOT EXISTS whatsapp_auth_keys (
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  key_type TEXT NOT NULL,
+  key_id TEXT NOT NULL,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (session_id, key_type, key_id)
+);
+
+-- ========================================
+-- 10. MESSAGE_QUEUE TABLE (durable outbound queue)
+-- ========================================
+CREATE TABLE IF NOT EXISTS message_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seq BIGSERIAL, -- סדר ההכנסה לתור (created_at זהה לכל השורות של אותה transaction, למשל sendBulk)
+  session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  jid TEXT NOT NULL,
+  message_type TEXT NOT NULL DEFAULT 'text',
+  content JSONB NOT NULL,
+  metadata JSONB DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  last_error TEXT,
+  claimed_by TEXT, -- ה-instance ששולח את ההודעה (status = sending); חוזרת לתור רק אם הוא מת
+  claimed_at TIMESTAMPTZ,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL, -- ההודעה שנוצרה מהשליחה
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- עמודות שנוספו אחרי שהטבלה נוצרה (databases קיימים)
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS seq BIGSERIAL;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+CREATE INDEX idx_queue_pending ON message_queue(session_id, seq) WHERE status = 'queued';
+CREATE INDEX idx_queue_status ON message_queue(status);
+CREATE INDEX idx_queue_org ON message_queue(organization_id);
+
+-- ========================================
+-- 11. WEBHOOK_NONCES TABLE (replay protection)
+-- ========================================
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+  nonce TEXT PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_nonces_expires ON webhook_nonces(expires_at);
+
+-- ========================================
+-- 12. GHL_OAUTH_TOKENS TABLE (marketplace app installs)
+-- ========================================
+-- token לכל GHL location; organization_id נקבע רק מה-state החתום של ה-OAuth callback
+-- (התקנה ישירה מה-marketplace נשארת בלי organization ולא משמשת אף organization)
+CREATE TABLE IF NOT EXISTS ghl_oauth_tokens (
+  location_id TEXT PRIMARY KEY,
+  organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+  company_id TEXT,
+  user_type TEXT DEFAULT 'Location',
+  access_token TEXT NOT NULL,
+  refresh_token TEXT NOT NULL,
+  scope TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  installed_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- עמודות שנוספו אחרי שהטבלה נוצרה (databases קיימים)
+ALTER TABLE ghl_oauth_tokens ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+
+-- התקנה אחת לכל organization
+CREATE UNIQUE INDEX idx_ghl_oauth_tokens_organization ON ghl_oauth_tokens(organization_id) WHERE organization_id IS NOT NULL;
+
+-- ========================================
+-- 13. CONTACTS TABLE (local contact cache + GHL mapping)
+-- ========================================
+CREATE TABLE IF NOT EXISTS contacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  phone TEXT NOT NULL, -- ספרות בלבד, בלי + (כמו messages.from_number)
+  jid TEXT,
+  push_name TEXT,
+  profile_picture_url TEXT,
+  about TEXT,
+  ghl_contact_id TEXT,
+  ghl_synced_at TIMESTAMPTZ,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(organization_id, phone)
+);
+
+CREATE INDEX idx_contacts_ghl ON contacts(organization_id, ghl_contact_id);
+CREATE INDEX idx_contacts_last_seen ON contacts(organization_id, last_seen_at DESC);
+
+-- ========================================
+-- 14. API_KEYS TABLE (server-to-server access)
+-- ========================================
+-- נשמר רק ה-hash (SHA-256); ה-key המלא מוצג פעם אחת ביצירה
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL, -- תחילת ה-key, לזיהוי ברשימה
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_keys_org ON api_keys(organization_id);
+
+-- ========================================
+-- 15. ORGANIZATION_MEMBERS TABLE (team + roles)
+-- ========================================
+-- owner: הכל | admin: הכל חוץ מ-billing | agent: שליחת הודעות וקבוצות | read_only: צפייה בלבד
+CREATE TABLE IF NOT EXISTS organization_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'agent' CHECK (role IN ('owner', 'admin', 'agent', 'read_only')),
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(organization_id, user_id)
+);
+
+CREATE INDEX idx_members_user ON organization_members(user_id);
+
+-- owners של organizations קיימות
+INSERT INTO organization_members (organization_id, user_id, role)
+SELECT id, owner_id, 'owner' FROM organizations WHERE owner_id IS NOT NULL
+ON CONFLICT (organization_id, user_id) DO NOTHING;
+
+-- ========================================
+-- 16. ORGANIZATION_INVITATIONS TABLE
+-- ========================================
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'agent' CHECK (role IN ('admin', 'agent', 'read_only')),
+  token_hash TEXT UNIQUE NOT NULL, -- SHA-256 של ה-token שבקישור ההזמנה
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_invitations_org ON organization_invitations(organization_id);
+
+-- ========================================
+-- 17. SERVICE_INSTANCES TABLE (multi-instance)
+-- ========================================
+-- כל instance של ה-backend נרשם כאן עם heartbeat; internal_url משמש להעברת בקשות ל-instance שמחזיק ב-session
+CREATE TABLE IF NOT EXISTS service_instances (
+  instance_id TEXT PRIMARY KEY,
+  internal_url TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ========================================
+-- 18. SESSION_LEASES TABLE
+-- ========================================
+-- כל session פתוח ב-instance אחד בלבד; ה-lease מתחדש כל כמה שניות ופג כשה-instance מת
+CREATE TABLE IF NOT EXISTS session_leases (
+  session_id TEXT PRIMARY KEY REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+  instance_id TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_session_leases_instance ON session_leases(instance_id);
+
+-- ========================================
+-- 19. SOCKET_IO_ATTACHMENTS TABLE
+-- ========================================
+-- @socket.io/postgres-adapter - אירועי Socket.IO עוברים בין instances (payloads גדולים נשמרים כאן)
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+  id BIGSERIAL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  payload BYTEA
+);
+
 -- ========================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
 -- ========================================
@@ -182,6 +415,17 @@ ALTER TABLE whatsapp_groups ENABLE ROW LEVEL SECURITY;
 ALTER TABLE group_participants ENABLE ROW LEVEL SECURITY;
 ALTER TABLE usage_tracking ENABLE ROW LEVEL SECURITY;
 ALTER TABLE webhook_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE whatsapp_auth_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_queue ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_nonces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ghl_oauth_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE service_instances ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_leases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE socket_io_attachments ENABLE ROW LEVEL SECURITY;
 
 -- Organizations policies
 CREATE POLICY "Users can view their own organizations"
@@ -196,6 +440,19 @@ CREATE POLICY "Users can insert their own organizations"
   ON organizations FOR INSERT
   WITH CHECK (auth.uid() = owner_id);
 
+CREATE POLICY "Members can view their organizations"
+  ON organizations FOR SELECT
+  USING (
+    id IN (
+      SELECT organization_id FROM organization_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Organization members policies
+CREATE POLICY "Users can view their memberships"
+  ON organization_members FOR SELECT
+  USING (user_id = auth.uid());
+
 -- WhatsApp Sessions policies
 CREATE POLICY "Users can view their org sessions"
   ON whatsapp_sessions FOR SELECT
@@ -256,6 +513,15 @@ CREATE POLICY "Users can view their org usage"
     )
   );
 
+-- Contacts policies
+CREATE POLICY "Users can view their org contacts"
+  ON contacts FOR SELECT
+  USING (
+    organization_id IN (
+      SELECT id FROM organizations WHERE owner_id = auth.uid()
+    )
+  );
+
 -- ========================================
 -- FUNCTIONS & TRIGGERS
 -- ========================================
@@ -286,12 +552,34 @@ CREATE TRIGGER update_usage_updated_at
   BEFORE UPDATE ON usage_tracking
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_message_queue_updated_at
+  BEFORE UPDATE ON message_queue
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_ghl_oauth_tokens_updated_at
+  BEFORE UPDATE ON ghl_oauth_tokens
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contacts_updated_at
+  BEFORE UPDATE ON contacts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_members_updated_at
+  BEFORE UPDATE ON organization_members
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to auto-create organization for new users
 CREATE OR REPLACE FUNCTION create_organization_for_new_user()
 RETURNS TRIGGER AS $$
+DECLARE
+  new_org_id UUID;
 BEGIN
   INSERT INTO organizations (owner_id, name, subscription_tier)
-  VALUES (NEW.id, COALESCE(NEW.raw_user_meta_data->>'full_name', 'My Organization'), 'free');
+  VALUES (NEW.id, COALESCE(NEW.raw_user_meta_data->>'full_name', 'My Organization'), 'free')
+  RETURNING id INTO new_org_id;
+
+  INSERT INTO organization_members (organization_id, user_id, role)
+  VALUES (new_org_id, NEW.id, 'owner');
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -374,7 +662,7 @@ GROUP BY o.id, o.name;
 DO $$
 BEGIN
   RAISE NOTICE '✅ WhatsApp-GHL Database Schema created successfully!';
-  RAISE NOTICE '📊 Tables created: organizations, whatsapp_sessions, messages, whatsapp_groups, group_participants, usage_tracking, webhook_logs, system_logs';
+  RAISE NOTICE '📊 Tables created: organizations, whatsapp_sessions, messages, whatsapp_groups, group_participants, usage_tracking, webhook_logs, system_logs, whatsapp_auth_keys, message_queue, webhook_nonces, ghl_oauth_tokens, contacts, api_keys, organization_members, organization_invitations, service_instances, session_leases, socket_io_attachments';
   RAISE NOTICE '🔒 RLS policies enabled';
   RAISE NOTICE '⚡ Triggers and functions configured';
   RAISE NOTICE '';